@@ -0,0 +1,180 @@
+import { STORE_NAME, METADATA_STORE_NAME, IMPORT_JOBS_STORE_NAME, IMPORT_BATCH_SIZE, BACKUP_FORMAT, BACKUP_MIN_SCHEMA_VERSION } from './constants.js';
+import { sheetRowsCollection, deleteRowsInBatches } from './rows.js';
+import { createImportJobId } from './imports.js';
+
+// --- Backup & Restore ---
+// A backup is gzip-compressed NDJSON, one record per line:
+//   { type: 'header', format, schemaVersion, createdAt }
+//   { type: 'meta', record }   one per stored sheet (fileMetadataV2), before any of its rows
+//   { type: 'row', record }    every row of every kept version (excelDataStoreV2), without its id
+//   { type: 'end', sheets, rows }
+// Rows of unfinished imports are left out. Backups are written and read as streams, so neither
+// side holds the whole database in memory.
+
+export const createBackupBlob = async (db, onProgress) => {
+  const metas = await db[METADATA_STORE_NAME].toArray();
+  const versionIds = new Set(metas.flatMap(meta => (meta.versions || []).map(entry => entry.importId)));
+  const rowTotal = await db[STORE_NAME].count(); // Upper bound, for progress only
+  const encoder = new TextEncoder();
+  const toLine = value => JSON.stringify(value) + '\n';
+  let lastId;
+  let rowsRead = 0;
+  let rowsWritten = 0;
+  const source = new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(
+        toLine({ type: 'header', format: BACKUP_FORMAT, schemaVersion: db.verno, createdAt: Date.now() }) +
+        metas.map(record => toLine({ type: 'meta', record })).join('')
+      ));
+    },
+    async pull(controller) {
+      const rows = await (lastId === undefined ? db[STORE_NAME].toCollection() : db[STORE_NAME].where(':id').above(lastId))
+        .limit(IMPORT_BATCH_SIZE).toArray();
+      if (rows.length === 0) {
+        controller.enqueue(encoder.encode(toLine({ type: 'end', sheets: metas.length, rows: rowsWritten })));
+        controller.close();
+        return;
+      }
+      lastId = rows[rows.length - 1].id;
+      rowsRead += rows.length;
+      const kept = rows.filter(row => versionIds.has(row._importId));
+      rowsWritten += kept.length;
+      controller.enqueue(encoder.encode(kept.map(({ id, ...record }) => toLine({ type: 'row', record })).join('')));
+      if (onProgress) onProgress(rowsRead, rowTotal);
+    }
+  });
+  return new Response(source.pipeThrough(new CompressionStream('gzip'))).blob();
+};
+
+// Calls onRecord(record, lineNumber) for each line of a backup file, in order.
+// onProgress(bytesRead, totalBytes) tracks the compressed input.
+export const readBackupRecords = async (file, onRecord, onProgress) => {
+  let bytesRead = 0;
+  const countBytes = new TransformStream({
+    transform(chunk, controller) {
+      bytesRead += chunk.byteLength;
+      controller.enqueue(chunk);
+    }
+  });
+  const reader = file.stream().pipeThrough(countBytes).pipeThrough(new DecompressionStream('gzip')).pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+  let lineNumber = 0;
+  const handleLine = async (line) => {
+    lineNumber++;
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Backup line ${lineNumber} is not valid JSON.`);
+    }
+    await onRecord(record, lineNumber);
+  };
+  for (;;) {
+    let chunk;
+    try {
+      chunk = await reader.read();
+    } catch (error) {
+      throw new Error("The file is not a gzip-compressed backup, or it is damaged.");
+    }
+    if (chunk.done) break;
+    buffered += chunk.value;
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    for (const line of lines) await handleLine(line);
+    if (onProgress) onProgress(bytesRead, file.size);
+  }
+  if (buffered) await handleLine(buffered);
+};
+
+// Reads a whole backup and checks its structure without writing anything. Returns
+// { createdAt, schemaVersion, metas, rowCount } for the restore step.
+export const validateBackup = async (db, file, onProgress) => {
+  let header = null;
+  let end = null;
+  const metas = new Map();
+  let rowCount = 0;
+  await readBackupRecords(file, (entry, lineNumber) => {
+    const fail = message => { throw new Error(`Backup line ${lineNumber}: ${message}`); };
+    if (!header) {
+      if (!entry || entry.type !== 'header' || entry.format !== BACKUP_FORMAT) throw new Error("This file is not a backup made by this app.");
+      if (!Number.isInteger(entry.schemaVersion) || entry.schemaVersion < BACKUP_MIN_SCHEMA_VERSION) fail(`unsupported schema version ${entry.schemaVersion}.`);
+      if (entry.schemaVersion > db.verno) throw new Error(`This backup was made by a newer version of the app (schema ${entry.schemaVersion}, this app uses ${db.verno}).`);
+      header = entry;
+      return;
+    }
+    if (end) fail("unexpected data after the end of the backup.");
+    const record = entry && entry.record;
+    if (entry.type === 'meta') {
+      if (!record || typeof record.fileName !== 'string' || !record.fileName.includes('::')) fail("sheet record without a valid fileName.");
+      if (!Array.isArray(record.headers) || !Array.isArray(record.versions) || record.versions.length === 0) fail(`sheet "${record.fileName}" is missing its headers or versions.`);
+      if (!record.versions.some(version => version.importId === record.importId)) fail(`sheet "${record.fileName}" has no live version.`);
+      if (metas.has(record.fileName)) fail(`sheet "${record.fileName}" appears twice.`);
+      metas.set(record.fileName, record);
+    } else if (entry.type === 'row') {
+      if (!record || typeof record.fileName !== 'string' || !Array.isArray(record._searchableTokens)) fail("malformed row record.");
+      const meta = metas.get(record.fileName);
+      if (!meta) fail(`row belongs to unknown sheet "${record.fileName}".`);
+      if (!meta.versions.some(version => version.importId === record._importId)) fail(`row belongs to an unknown version of "${record.fileName}".`);
+      rowCount++;
+    } else if (entry.type === 'end') {
+      if (entry.sheets !== metas.size || entry.rows !== rowCount) fail(`expected ${entry.sheets} sheets and ${entry.rows} rows, found ${metas.size} and ${rowCount}.`);
+      end = entry;
+    } else {
+      fail(`unknown record type "${entry && entry.type}".`);
+    }
+  }, onProgress);
+  if (!header) throw new Error("The backup file is empty.");
+  if (!end) throw new Error("The backup file is incomplete (it ends before its last record).");
+  return { createdAt: header.createdAt, schemaVersion: header.schemaVersion, metas: [...metas.values()], rowCount };
+};
+
+// Writes a validated backup. 'merge' replaces only the sheets in the backup and keeps the rest;
+// 'replace' also removes every sheet (and unfinished import) that isn't in it. Restored versions
+// get fresh importIds, so their rows stay hidden until the metadata switch at the end and never
+// collide with rows already stored; on failure those rows are removed again.
+export const restoreBackup = async (db, file, { mode, metas, rowCount }, onProgress) => {
+  const importIdMap = new Map(metas.flatMap(meta => meta.versions.map(version => [version.importId, createImportJobId()])));
+  let batch = [];
+  let rowsWritten = 0;
+  const flush = async () => {
+    await db[STORE_NAME].bulkAdd(batch);
+    rowsWritten += batch.length;
+    batch = [];
+    if (onProgress) onProgress(rowsWritten, rowCount);
+  };
+  try {
+    await readBackupRecords(file, async (entry) => {
+      if (entry.type !== 'row') return;
+      batch.push({ ...entry.record, _importId: importIdMap.get(entry.record._importId) });
+      if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+    });
+    if (batch.length > 0) await flush();
+  } catch (error) {
+    for (const importId of importIdMap.values()) await deleteRowsInBatches(db, () => sheetRowsCollection(db, importId));
+    throw error;
+  }
+
+  let affectedFiles = metas.map(meta => meta.fileName);
+  await db.transaction('rw', db[METADATA_STORE_NAME], db[IMPORT_JOBS_STORE_NAME], async () => {
+    if (mode === 'replace') {
+      const localFiles = (await db[METADATA_STORE_NAME].toCollection().primaryKeys())
+        .concat((await db[IMPORT_JOBS_STORE_NAME].toArray()).map(job => job.fileName));
+      affectedFiles = [...new Set([...affectedFiles, ...localFiles])];
+      await db[METADATA_STORE_NAME].where('fileName').noneOf(metas.map(meta => meta.fileName)).delete();
+    }
+    await db[IMPORT_JOBS_STORE_NAME].where('fileName').anyOf(affectedFiles).delete();
+    for (const meta of metas) {
+      const existing = await db[METADATA_STORE_NAME].get(meta.fileName);
+      await db[METADATA_STORE_NAME].put({
+        ...meta,
+        columnPrefs: meta.columnPrefs || (existing && existing.columnPrefs),
+        importId: importIdMap.get(meta.importId),
+        versions: meta.versions.map(version => ({ ...version, importId: importIdMap.get(version.importId) }))
+      });
+    }
+  });
+  // The old rows of every affected sheet are now unreachable; clear them out.
+  const restoredIds = new Set(importIdMap.values());
+  await deleteRowsInBatches(db, () => db[STORE_NAME].where('fileName').anyOf(affectedFiles).filter(row => !restoredIds.has(row._importId)));
+};
@@ -0,0 +1,55 @@
+
+// --- Typed Cell Values ---
+// Each stored row keeps every cell's display text under its header (what result cards show
+// and what the token index is built from). Cells that aren't plain text also get a typed
+// record in `_values[header]`:
+//   { type: 'number' | 'boolean' | 'date' | 'error' | 'string', value, format?, formula? }
+// Dates are ISO strings; 'string' only appears for formula results. Rows imported before
+// typed values existed have no `_values` and fall back to their text.
+export const getCellRecord = (row, header) => (row._values && row._values[header]) || null;
+
+// Tooltip describing a cell's stored type, e.g. "number 1234.5 · format #,##0.00 · =SUM(B2:B9)".
+export const describeCellRecord = (record) => {
+  if (!record) return undefined;
+  const parts = [`${record.type} ${record.value}`];
+  if (record.format) parts.push(`format ${record.format}`);
+  if (record.formula) parts.push(record.formula);
+  return parts.join(' · ');
+};
+
+// The typed value of a cell (number, boolean or Date), or its text.
+export const getTypedValue = (row, header) => {
+  const record = getCellRecord(row, header);
+  if (!record || record.type === 'error') return row[header] === undefined || row[header] === null ? '' : row[header];
+  return record.type === 'date' ? new Date(record.value) : record.value;
+};
+
+// A number to compare or sort a cell by (numbers as-is, dates as timestamps), or null.
+export const getNumericValue = (row, header) => {
+  const record = getCellRecord(row, header);
+  if (record && record.type === 'number') return record.value;
+  if (record && record.type === 'date') return Date.parse(record.value);
+  return parseNumericValue(row[header] === undefined ? '' : row[header]);
+};
+
+export const getDateValue = (row, header) => {
+  const record = getCellRecord(row, header);
+  if (record && record.type === 'date') return Date.parse(record.value);
+  if (record && record.type === 'number') return null;
+  return parseDateValue(row[header] === undefined ? '' : row[header]);
+};
+
+// Parses "1,234.50", "$99" or "-3" into a number; null when the text isn't numeric.
+export const parseNumericValue = (text) => {
+  const cleaned = String(text).trim().replace(/^[$€£¥]/, '').replace(/,/g, '');
+  if (cleaned === '' || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) return null;
+  return Number(cleaned);
+};
+
+// Parses a date into a timestamp; null when the text isn't a recognisable date.
+export const parseDateValue = (text) => {
+  const trimmed = String(text).trim();
+  if (trimmed === '' || !/\d/.test(trimmed)) return null;
+  const timestamp = Date.parse(trimmed);
+  return isNaN(timestamp) ? null : timestamp;
+};
@@ -0,0 +1,12 @@
+// --- Constants ---
+// Names and limits shared by the storage, import and search modules. The UI's own settings
+// (localStorage keys, debounce and page sizes) live with the components in rty.jsx.
+export const DB_NAME = 'ReactExcelDataDB_V2';
+export const STORE_NAME = 'excelDataStoreV2';
+export const METADATA_STORE_NAME = 'fileMetadataV2';
+export const IMPORT_JOBS_STORE_NAME = 'importJobsV2';
+export const DEFAULT_VERSION_RETENTION = 5; // Imports kept per sheet, including the live one
+export const HEADER_PREVIEW_ROWS = 10; // Leading rows of each sheet shown when choosing its header rows
+export const IMPORT_BATCH_SIZE = 2000; // Rows fetched from the parser / written to Dexie per batch
+export const BACKUP_FORMAT = 'react-excel-viewer-backup';
+export const BACKUP_MIN_SCHEMA_VERSION = 6; // Oldest database schema a backup can be restored from (first with version history)
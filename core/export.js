@@ -0,0 +1,76 @@
+import { getCellRecord, getTypedValue } from './cellValues.js';
+
+// --- Export ---
+// Exports write only the given headers from each row, in the order given, so internal
+// fields (id, fileName, _searchableTokens, _values, ...) never leak into a file. Files are
+// built as Blobs; saving or uploading them is up to the caller.
+export const EXPORT_FORMATS = [
+  { id: 'xlsx', label: 'Excel (.xlsx)' },
+  { id: 'csv', label: 'CSV (.csv)' },
+  { id: 'json', label: 'JSON (.json)' }
+];
+
+// "orders.xlsx::Q1" -> "orders_Q1", safe as a download name on every OS.
+export const toExportFileName = (label) => label.replace(/\.(xlsx|xls)::/i, '_').replace(/::/g, '_').replace(/[\\/:*?"<>|]+/g, '_').slice(0, 120) || 'export';
+
+// Excel sheet names: at most 31 characters, none of []:*?/\, unique within the workbook.
+const toWorksheetName = (label, usedNames) => {
+  const base = (label.replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || 'Sheet').trim();
+  let name = base;
+  for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    name = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+};
+
+const toCsvField = (value) => {
+  const text = value instanceof Date ? value.toISOString() : (value === null || value === undefined ? '' : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// A worksheet with typed cells; number formats recorded at import are carried over.
+const buildWorksheet = (XLSX, rows, headers) => {
+  const sheet = XLSX.utils.aoa_to_sheet(
+    [headers, ...rows.map(row => headers.map(header => getTypedValue(row, header)))],
+    { cellDates: true }
+  );
+  rows.forEach((row, rowIndex) => headers.forEach((header, columnIndex) => {
+    const record = getCellRecord(row, header);
+    const cell = record && record.format && sheet[XLSX.utils.encode_cell({ r: rowIndex + 1, c: columnIndex })];
+    if (cell) cell.z = record.format;
+  }));
+  return sheet;
+};
+
+// groups: [{ label, headers, rows }]. XLSX puts each group on its own worksheet; CSV supports
+// a single group; JSON writes an array for one group or an object keyed by label for several.
+// Only the xlsx format needs the SheetJS instance passed as `XLSX`.
+export const buildExportBlob = (groups, format, { XLSX } = {}) => {
+  if (format === 'xlsx') {
+    if (!XLSX) throw new Error("XLSX library (SheetJS) not loaded.");
+    const workbook = XLSX.utils.book_new();
+    const usedNames = new Set();
+    groups.forEach(group => {
+      XLSX.utils.book_append_sheet(workbook, buildWorksheet(XLSX, group.rows, group.headers), toWorksheetName(group.label, usedNames));
+    });
+    const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    return new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  }
+  if (format === 'csv') {
+    if (groups.length !== 1) throw new Error("CSV export holds a single sheet. Export each group separately or use XLSX.");
+    const { headers, rows } = groups[0];
+    const lines = [headers, ...rows.map(row => headers.map(header => getTypedValue(row, header)))].map(values => values.map(toCsvField).join(','));
+    return new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' }); // BOM so Excel reads UTF-8
+  }
+  const toObjects = ({ headers, rows }) => rows.map(row => headers.reduce((acc, header) => {
+    acc[header] = getTypedValue(row, header);
+    return acc;
+  }, {}));
+  const payload = groups.length === 1 ? toObjects(groups[0]) : groups.reduce((acc, group) => {
+    acc[group.label] = toObjects(group);
+    return acc;
+  }, {});
+  return new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+};
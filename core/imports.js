@@ -0,0 +1,96 @@
+import { STORE_NAME, METADATA_STORE_NAME, IMPORT_JOBS_STORE_NAME, IMPORT_BATCH_SIZE, DEFAULT_VERSION_RETENTION } from './constants.js';
+import { sheetRowsCollection, deleteRowsInBatches } from './rows.js';
+import { splitRetainedVersions } from './versions.js';
+
+// --- Import Checkpoints ---
+// Rows are written in bounded batches. Each batch shares a transaction with its job's
+// rowsWritten counter, so the job record is always an exact resume point. Rows carry the
+// job's id in `_importId` and only become visible once the sheet's metadata points at it.
+export const IMPORT_JOB_WRITING = 'writing';
+export const IMPORT_JOB_FINALIZING = 'finalizing';
+
+export const createImportJobId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Approximate stored size of a row, shown in the stored-files panel. IndexedDB's own
+// overhead (indexes, record framing) isn't counted.
+export const estimateRowBytes = row => JSON.stringify(row).length;
+
+// Appends rows from getRows(start, count) until the job's totalRows are stored. The job object
+// is kept in step with its stored record, so it can be passed straight to finalizeImportJob.
+export const writeImportJobRows = async (db, job, getRows, { shouldCancel, onProgress }) => {
+  let rowsWritten = job.rowsWritten;
+  let tokensWritten = job.tokensWritten || 0; // Summed into the sheet's metadata for BM25 length normalization
+  let bytesWritten = job.bytesWritten || 0;
+  while (rowsWritten < job.totalRows) {
+    if (shouldCancel()) throw new Error("Import cancelled.");
+    const rows = await getRows(rowsWritten, IMPORT_BATCH_SIZE);
+    if (rows.length === 0) throw new Error(`Source ended after ${rowsWritten} of ${job.totalRows} rows.`);
+    const batch = rows.map(row => ({ ...row, fileName: job.fileName, _importId: job.jobId }));
+    const nextRowsWritten = rowsWritten + batch.length;
+    const nextTokensWritten = tokensWritten + batch.reduce((sum, row) => sum + row._tokenCount, 0);
+    const nextBytesWritten = bytesWritten + batch.reduce((sum, row) => sum + estimateRowBytes(row), 0);
+    await db.transaction('rw', db[STORE_NAME], db[IMPORT_JOBS_STORE_NAME], async () => {
+      await db[STORE_NAME].bulkAdd(batch);
+      await db[IMPORT_JOBS_STORE_NAME].update(job.jobId, {
+        rowsWritten: nextRowsWritten, tokensWritten: nextTokensWritten, bytesWritten: nextBytesWritten, updatedAt: Date.now()
+      });
+    });
+    rowsWritten = nextRowsWritten;
+    tokensWritten = nextTokensWritten;
+    bytesWritten = nextBytesWritten;
+    Object.assign(job, { rowsWritten, tokensWritten, bytesWritten });
+    if (onProgress) onProgress(rowsWritten);
+  }
+};
+
+// Makes the job's rows live as the sheet's newest version, then deletes the rows of versions
+// that fall outside `retention`. Safe to call again for a job that was interrupted while
+// finalizing: the versions to delete are recorded on the job in the same transaction.
+export const finalizeImportJob = async (db, job, retention = DEFAULT_VERSION_RETENTION) => {
+  let pruneImportIds = job.pruneImportIds;
+  if (job.status !== IMPORT_JOB_FINALIZING) {
+    await db.transaction('rw', db[METADATA_STORE_NAME], db[IMPORT_JOBS_STORE_NAME], async () => {
+      const existingMeta = await db[METADATA_STORE_NAME].get(job.fileName); // Keep settings such as columnPrefs
+      const previousVersions = (existingMeta && existingMeta.versions) || [];
+      const version = {
+        version: previousVersions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1,
+        importId: job.jobId,
+        importedAt: Date.now(),
+        rowCount: job.totalRows,
+        tokenCount: job.tokensWritten || 0,
+        storedBytes: job.bytesWritten || 0,
+        headers: job.headers,
+        sourceName: job.sourceName,
+        sourceSize: job.sourceSize,
+        ...(job.merge ? { mergedFrom: job.mergedFrom } : {}) // The version the merge was applied to
+      };
+      const { kept, pruned } = splitRetainedVersions([...previousVersions, version], job.jobId, retention);
+      pruneImportIds = pruned.map(entry => entry.importId);
+      await db[METADATA_STORE_NAME].put({
+        ...existingMeta,
+        fileName: job.fileName,
+        headers: job.headers,
+        importId: job.jobId,
+        rowCount: job.totalRows,
+        tokenCount: job.tokensWritten || 0,
+        versions: kept
+      });
+      await db[IMPORT_JOBS_STORE_NAME].update(job.jobId, { status: IMPORT_JOB_FINALIZING, pruneImportIds });
+    });
+  }
+  if (pruneImportIds) {
+    for (const importId of pruneImportIds) await deleteRowsInBatches(db, () => sheetRowsCollection(db, importId));
+  } else {
+    // Finalizing began before version history existed, when every other import was dropped.
+    const meta = await db[METADATA_STORE_NAME].get(job.fileName);
+    const keptIds = new Set(((meta && meta.versions) || []).map(entry => entry.importId).concat(job.jobId));
+    await deleteRowsInBatches(db, () => db[STORE_NAME].where('fileName').equals(job.fileName).filter(row => !keptIds.has(row._importId)));
+  }
+  await db[IMPORT_JOBS_STORE_NAME].delete(job.jobId);
+};
+
+// Removes everything an unfinished job wrote. The previous data for the sheet is untouched.
+export const rollbackImportJob = async (db, job, onProgress) => {
+  await deleteRowsInBatches(db, () => db[STORE_NAME].where('_importId').equals(job.jobId), onProgress);
+  await db[IMPORT_JOBS_STORE_NAME].delete(job.jobId);
+};
@@ -0,0 +1,22 @@
+// Public surface of the storage, import and search modules. rty.jsx and the hooks import from
+// here; other tools usually only need createExcelStore.
+export * from './constants.js';
+export * from './schema.js';
+export * from './rows.js';
+export * from './sheets.js';
+export * from './imports.js';
+export * from './ingest.js';
+export * from './versions.js';
+export * from './merge.js';
+export * from './join.js';
+export * from './summaries.js';
+export * from './cellValues.js';
+export * from './sorting.js';
+export * from './export.js';
+export * from './backup.js';
+export * from './textIndex.js';
+export * from './query.js';
+export * from './search.js';
+export * from './textImport.js';
+export * from './sheetParser.js';
+export * from './store.js';
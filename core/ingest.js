@@ -0,0 +1,147 @@
+import { METADATA_STORE_NAME, IMPORT_JOBS_STORE_NAME, DEFAULT_VERSION_RETENTION } from './constants.js';
+import { IMPORT_JOB_WRITING, createImportJobId, writeImportJobRows, finalizeImportJob, rollbackImportJob } from './imports.js';
+import { computeSheetDiff, readMergedRows } from './merge.js';
+import { sheetRowsCollection } from './rows.js';
+
+// --- Ingestion ---
+// Stores parsed sheets (from createParseWorker or createInlineParser) under `fileName::sheetName`,
+// each through a checkpointed import job. A merge writes the stored rows with the reviewed changes
+// applied, so it too becomes a new version of the sheet. `source` is { name, size, lastModified, parseOptions };
+// each sheet is a parser summary plus { importMode: 'replace' | 'merge', keyColumns, resumeJob? },
+// and one carrying `resumeJob` continues that job from its last written batch.
+// The caller decides, possibly asynchronously:
+//   confirmOverwrite({ fileIdentifier, sheetName })   whether a replace import may overwrite a stored sheet
+//   reviewMerge({ fileIdentifier, keyColumns, diff })  whether to apply a merge
+// Without them stored sheets are overwritten and merges applied.
+// onProgress({ phase, sheetName, sheetIndex, sheetCount, rowsDone, rowCount, fraction }) reports each
+// step; phase is 'check', 'compare', 'review', 'merge', 'store', 'finalize' or 'rollback', and
+// fraction is the share of all the sheets' rows handled so far.
+// Resolves with { storedSheets, skippedSheets, cancelled, error, interruptedJob } and never rejects.
+// Once shouldCancel() returns true the sheet in progress is rolled back; any other failure leaves
+// its job behind as interruptedJob, to be resumed or rolled back later. A failed merge, and a
+// resumed job that no longer matches its sheet, are rolled back instead.
+export const importParsedSheets = async (db, parser, source, sheets, {
+  retention = DEFAULT_VERSION_RETENTION, shouldCancel = () => false, confirmOverwrite, reviewMerge, onProgress
+} = {}) => {
+  const totalRows = sheets.reduce((sum, sheet) => sum + sheet.rowCount, 0);
+  let rowsDone = 0;
+  let activeJob = null;
+  let discardJobOnError = false; // Roll activeJob back on failure instead of leaving it to resume
+  const storedSheets = [];
+  const skippedSheets = [];
+  const result = (fields) => ({ storedSheets, skippedSheets, cancelled: false, error: null, interruptedJob: null, ...fields });
+
+  try {
+    for (let i = 0; i < sheets.length; i++) {
+      const { sheetName, headers, rowCount, headerRow, headerRowCount, importMode, keyColumns, resumeJob } = sheets[i];
+      const fileIdentifier = `${source.name}::${sheetName}`;
+      const sheetStartRows = rowsDone;
+      const report = (phase, sheetRowsDone = 0) => {
+        if (onProgress) {
+          onProgress({
+            phase, sheetName, sheetIndex: i, sheetCount: sheets.length, rowsDone: sheetRowsDone, rowCount,
+            fraction: totalRows > 0 ? (sheetStartRows + sheetRowsDone) / totalRows : 1
+          });
+        }
+      };
+      let job = resumeJob;
+      let getRows = (start, count) => parser.getRows(sheetName, start, count);
+      let writePhase = 'store';
+      let totalRowsToWrite = rowCount;
+
+      if (job) {
+        activeJob = job;
+        discardJobOnError = true;
+        if (job.merge) throw new Error(`The interrupted merge into "${sheetName}" can't be resumed. It was rolled back; merge the file again.`);
+        if (rowCount !== job.totalRows || JSON.stringify(headers) !== JSON.stringify(job.headers)) {
+          throw new Error(`Sheet "${sheetName}" no longer matches the interrupted import (rows or headers changed). It was rolled back; import the file again.`);
+        }
+      } else {
+        report('check');
+        const existingMeta = await db[METADATA_STORE_NAME].get(fileIdentifier);
+        let mergedFrom = null;
+        if (existingMeta && importMode === 'merge') {
+          report('compare');
+          const diff = await computeSheetDiff(db, {
+            importId: existingMeta.importId, storedHeaders: existingMeta.headers || [], headers, keyColumns, rowCount,
+            getRows: (start, count) => parser.getRows(sheetName, start, count),
+            onProgress: compared => report('compare', compared)
+          });
+          report('review', rowCount);
+          const apply = reviewMerge ? await reviewMerge({ fileIdentifier, keyColumns, diff }) : true;
+          if (shouldCancel()) throw new Error("Import cancelled.");
+          if (!apply) {
+            skippedSheets.push(sheetName);
+            rowsDone += rowCount;
+            continue;
+          }
+          // The merged rows are written as a new import, which becomes the sheet's next version.
+          const storedRowCount = await sheetRowsCollection(db, existingMeta.importId).count();
+          totalRowsToWrite = storedRowCount - diff.removed.length + diff.added.length;
+          getRows = readMergedRows(db, existingMeta.importId, diff);
+          writePhase = 'merge';
+          const liveVersion = (existingMeta.versions || []).find(entry => entry.importId === existingMeta.importId);
+          mergedFrom = liveVersion ? liveVersion.version : null;
+        } else if (existingMeta && confirmOverwrite && !(await confirmOverwrite({ fileIdentifier, sheetName }))) {
+          skippedSheets.push(sheetName);
+          rowsDone += rowCount;
+          continue;
+        }
+        // An older interrupted import of the same sheet would otherwise linger invisibly.
+        const staleJobs = await db[IMPORT_JOBS_STORE_NAME].where('fileName').equals(fileIdentifier).toArray();
+        for (const staleJob of staleJobs) await rollbackImportJob(db, staleJob);
+
+        job = {
+          jobId: createImportJobId(),
+          fileName: fileIdentifier,
+          sheetName,
+          headers,
+          totalRows: totalRowsToWrite,
+          rowsWritten: 0,
+          status: IMPORT_JOB_WRITING,
+          sourceName: source.name,
+          sourceSize: source.size,
+          sourceLastModified: source.lastModified,
+          parseOptions: source.parseOptions,
+          headerConfig: { headerRow, headerRowCount },
+          ...(writePhase === 'merge' ? { merge: true, mergedFrom } : {}),
+          startedAt: Date.now()
+        };
+        await db[IMPORT_JOBS_STORE_NAME].put(job);
+      }
+
+      activeJob = job;
+      // A merge's rows come from the stored version as well as the file, so it can't be resumed
+      // from the file later.
+      discardJobOnError = !!job.merge;
+      // Progress counts the sheet's rows in the file, also while a merge writes its own total.
+      const toSheetRows = written => totalRowsToWrite > 0 ? Math.round((written / totalRowsToWrite) * rowCount) : rowCount;
+      report(writePhase, toSheetRows(job.rowsWritten));
+      await writeImportJobRows(db, job, getRows, {
+        shouldCancel,
+        onProgress: written => report(writePhase, toSheetRows(written))
+      });
+
+      report('finalize', rowCount);
+      await finalizeImportJob(db, job, retention);
+      activeJob = null;
+      rowsDone += rowCount;
+      storedSheets.push(sheetName);
+    }
+    return result({});
+  } catch (error) {
+    const cancelled = shouldCancel();
+    if (!cancelled && !discardJobOnError) return result({ error, interruptedJob: activeJob });
+    if (activeJob) {
+      const job = activeJob;
+      try {
+        await rollbackImportJob(db, job, deleted => {
+          if (onProgress) onProgress({ phase: 'rollback', sheetName: job.sheetName, rowsDone: deleted, rowCount: job.rowsWritten, fraction: 0 });
+        });
+      } catch (rollbackError) {
+        console.error("Error rolling back import:", rollbackError);
+      }
+    }
+    return result(cancelled ? { cancelled: true } : { error });
+  }
+};
@@ -0,0 +1,77 @@
+import { sheetRowsCollection } from './rows.js';
+
+// --- Sheet Join ---
+// Combines the live rows of two stored sheets on one key column each. Keys are compared as
+// text, ignoring case and surrounding spaces; blank keys never match. Each side is
+// { fileIdentifier, importId, headers, keyColumn }; type is 'inner' or 'left'.
+// Returns { headers, rows, unmatchedLeft, unmatchedRight, truncated }, where the unmatched
+// lists are [{ key, count }] of keys found on only one side.
+export const JOIN_ROW_LIMIT = 200000; // Combined rows kept in memory for one join
+
+const normalizeJoinKey = value => String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+
+// Right-hand columns whose name is taken on the left get the right sheet's name appended.
+const buildJoinHeaders = (left, right) => {
+  const rightSheet = right.fileIdentifier.split('::')[1] || right.fileIdentifier;
+  const used = new Set(left.headers);
+  const rightHeaderMap = {};
+  right.headers.filter(header => header !== right.keyColumn).forEach(header => {
+    let name = used.has(header) ? `${header} (${rightSheet})` : header;
+    for (let n = 2; used.has(name); n++) name = `${header} (${rightSheet} ${n})`;
+    used.add(name);
+    rightHeaderMap[header] = name;
+  });
+  return { headers: [...left.headers, ...Object.values(rightHeaderMap)], rightHeaderMap };
+};
+
+export const joinSheets = async (db, { left, right, type }) => {
+  const { headers, rightHeaderMap } = buildJoinHeaders(left, right);
+  const rightByKey = new Map();
+  await sheetRowsCollection(db, right.importId).each(row => {
+    const key = normalizeJoinKey(row[right.keyColumn]);
+    if (!key) return;
+    if (!rightByKey.has(key)) rightByKey.set(key, { label: String(row[right.keyColumn]).trim(), rows: [], matched: false });
+    rightByKey.get(key).rows.push(row);
+  });
+
+  const rows = [];
+  const unmatchedLeft = new Map();
+  let truncated = false;
+  const combine = (leftRow, rightRow) => {
+    const combined = { id: rows.length + 1 };
+    const values = {};
+    left.headers.forEach(header => {
+      combined[header] = leftRow[header] === undefined ? '' : leftRow[header];
+      if (leftRow._values && leftRow._values[header]) values[header] = leftRow._values[header];
+    });
+    Object.entries(rightHeaderMap).forEach(([header, name]) => {
+      combined[name] = rightRow && rightRow[header] !== undefined ? rightRow[header] : '';
+      if (rightRow && rightRow._values && rightRow._values[header]) values[name] = rightRow._values[header];
+    });
+    combined._values = values;
+    combined._searchableTokens = rightRow
+      ? [...new Set([...(leftRow._searchableTokens || []), ...(rightRow._searchableTokens || [])])]
+      : leftRow._searchableTokens || [];
+    return combined;
+  };
+
+  await sheetRowsCollection(db, left.importId).each(row => {
+    const key = normalizeJoinKey(row[left.keyColumn]);
+    const match = key ? rightByKey.get(key) : undefined;
+    if (match) match.matched = true;
+    else {
+      const label = key ? String(row[left.keyColumn]).trim() : '(blank)';
+      unmatchedLeft.set(key, { key: label, count: ((unmatchedLeft.get(key) || {}).count || 0) + 1 });
+    }
+    const rightRows = match ? match.rows : (type === 'left' ? [null] : []);
+    for (const rightRow of rightRows) {
+      if (rows.length >= JOIN_ROW_LIMIT) {
+        truncated = true;
+        return;
+      }
+      rows.push(combine(row, rightRow));
+    }
+  });
+  const unmatchedRight = [...rightByKey.values()].filter(entry => !entry.matched).map(entry => ({ key: entry.label, count: entry.rows.length }));
+  return { headers, rows, unmatchedLeft: [...unmatchedLeft.values()], unmatchedRight, truncated };
+};
@@ -0,0 +1,88 @@
+import { IMPORT_BATCH_SIZE } from './constants.js';
+import { sheetRowsCollection } from './rows.js';
+
+// --- Merge Re-import ---
+// Re-importing a stored sheet in merge mode matches rows on the chosen key columns: new keys are
+// added, missing keys removed and rows whose cells differ replaced. Unchanged rows are copied as
+// they are, including their _rowNumber. The merged rows are stored as a new import, so the merge
+// becomes the sheet's next version and the data from before it can still be restored.
+export const MERGE_PREVIEW_LIMIT = 100; // Rows listed per section of the merge preview
+
+const mergeRowKey = (row, keyColumns) => JSON.stringify(keyColumns.map(column => String(row[column] === undefined ? '' : row[column]).trim()));
+
+// Display-text differences between two versions of a row: [{ header, before, after }].
+const diffRowCells = (before, after, headers) => headers
+  .filter(header => String(before[header] === undefined ? '' : before[header]) !== String(after[header] === undefined ? '' : after[header]))
+  .map(header => ({ header, before: before[header] === undefined ? '' : before[header], after: after[header] === undefined ? '' : after[header] }));
+
+// Compares a stored sheet with the incoming rows from getRows(start, count).
+// Returns { added, removed, changed: [{ key, id, before, after, cells }], unchangedCount, duplicateKeys },
+// where duplicateKeys lists keys that occur more than once on either side (the merge is then refused).
+// Also used to compare two stored versions, with the newer one's rows as the incoming side.
+export const computeSheetDiff = async (db, { importId, storedHeaders, headers, keyColumns, rowCount, getRows, onProgress }) => {
+  const storedByKey = new Map();
+  const duplicateKeys = new Set();
+  await sheetRowsCollection(db, importId).each(row => {
+    const key = mergeRowKey(row, keyColumns);
+    if (storedByKey.has(key)) duplicateKeys.add(key);
+    else storedByKey.set(key, row);
+  });
+
+  const compareHeaders = [...new Set([...storedHeaders, ...headers])];
+  const incomingKeys = new Set();
+  const added = [];
+  const changed = [];
+  let unchangedCount = 0;
+  for (let start = 0; start < rowCount; start += IMPORT_BATCH_SIZE) {
+    const rows = await getRows(start, IMPORT_BATCH_SIZE);
+    rows.forEach(row => {
+      const key = mergeRowKey(row, keyColumns);
+      if (incomingKeys.has(key)) {
+        duplicateKeys.add(key);
+        return;
+      }
+      incomingKeys.add(key);
+      const stored = storedByKey.get(key);
+      if (!stored) {
+        added.push(row);
+        return;
+      }
+      const cells = diffRowCells(stored, row, compareHeaders);
+      if (cells.length > 0) changed.push({ key, id: stored.id, before: stored, after: row, cells });
+      else unchangedCount++;
+    });
+    if (onProgress) onProgress(Math.min(start + IMPORT_BATCH_SIZE, rowCount));
+  }
+  const removed = [...storedByKey.entries()].filter(([key]) => !incomingKeys.has(key)).map(([, row]) => row);
+  return { added, removed, changed, unchangedCount, duplicateKeys: [...duplicateKeys] };
+};
+
+// The rows of a stored version (importId) with a diff from computeSheetDiff applied, for
+// writeImportJobRows: removed rows are skipped, changed ones replaced and added ones appended.
+// Returns getRows(start, count), which must be called in order from the first row.
+export const readMergedRows = (db, importId, diff) => {
+  const removedIds = new Set(diff.removed.map(row => row.id));
+  const changedRows = new Map(diff.changed.map(change => [change.id, change.after]));
+  let storedRowsRead = 0;
+  let storedDone = false;
+  let rowsReturned = 0;
+  let buffered = [];
+  return async (start, count) => {
+    if (start !== rowsReturned) throw new Error(`Merged rows are read in order (expected row ${rowsReturned}, not ${start}).`);
+    while (buffered.length < count && !storedDone) {
+      const rows = await sheetRowsCollection(db, importId).offset(storedRowsRead).limit(IMPORT_BATCH_SIZE).toArray();
+      storedRowsRead += rows.length;
+      rows.forEach(({ id, ...row }) => {
+        if (!removedIds.has(id)) buffered.push(changedRows.get(id) || row);
+      });
+      if (rows.length < IMPORT_BATCH_SIZE) {
+        storedDone = true;
+        buffered = buffered.concat(diff.added);
+      }
+    }
+    const rows = buffered.slice(0, count);
+    buffered = buffered.slice(count);
+    rowsReturned += rows.length;
+    return rows;
+  };
+};
@@ -0,0 +1,26 @@
+import * as XLSX from 'xlsx';
+import { createSheetParser } from './sheetParser.js';
+
+// --- Parse Worker ---
+// Entry point of the module worker started by createParseWorker; not exported from index.js.
+// SheetJS is bundled into the worker, so parsing works without a network connection.
+let parser = null;
+
+self.onmessage = (event) => {
+  const message = event.data;
+  try {
+    if (message.type === 'parse') {
+      parser = createSheetParser(() => XLSX);
+      const sheets = parser.parse(message, progress => self.postMessage({ type: 'progress', ...progress }));
+      self.postMessage({ type: 'parsed', requestId: message.requestId, sheets });
+    } else if (message.type === 'configure') {
+      if (!parser) throw new Error(`Sheet "${message.sheetName}" is not loaded.`);
+      self.postMessage({ type: 'configured', requestId: message.requestId, sheet: parser.configure(message.sheetName, message) });
+    } else if (message.type === 'rows') {
+      const rows = parser ? parser.getRows(message.sheetName, message.start, message.count) : [];
+      self.postMessage({ type: 'rows', requestId: message.requestId, rows });
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', requestId: message.requestId, message: error.message || String(error) });
+  }
+};
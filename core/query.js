@@ -0,0 +1,206 @@
+import { tokenizeText, getRowCells } from './textIndex.js';
+import { getCellRecord, getNumericValue, getDateValue, parseNumericValue, parseDateValue } from './cellValues.js';
+
+// --- Search Query Language ---
+// Grammar (terms next to each other are ANDed; AND binds tighter than OR):
+//   query   := orExpr
+//   orExpr  := andExpr ("OR" andExpr)*
+//   andExpr := unary ("AND"? unary)*
+//   unary   := ("-" | "NOT") unary | "(" orExpr ")" | term
+//   term    := [column (":" | "=" | ">" | ">=" | "<" | "<=")] (word | "quoted phrase")
+// e.g. status:open region:"north east" amount>500 -cancelled (paid OR invoiced)
+export class QuerySyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+  }
+}
+
+const QUERY_OPERATORS = ['>=', '<=', ':', '=', '>', '<'];
+const COMPARISON_OPERATORS = ['>', '>=', '<', '<='];
+
+const compareValues = (left, op, right) => {
+  switch (op) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    default: return left <= right;
+  }
+};
+
+const tokenizeQuery = (query) => {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    const end = query.indexOf('"', i + 1);
+    if (end === -1) throw new QuerySyntaxError(`Missing closing quote after ${query.slice(i, i + 20)}`);
+    const text = query.slice(i + 1, end);
+    i = end + 1;
+    return text;
+  };
+  const readBare = (stopAtOperator) => {
+    const start = i;
+    while (i < query.length && !/[\s()"]/.test(query[i]) && !(stopAtOperator && /[:<>=]/.test(query[i]))) i++;
+    return query.slice(start, i);
+  };
+
+  while (i < query.length) {
+    const ch = query[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '(') { tokens.push({ type: 'lparen' }); i++; continue; }
+    if (ch === ')') { tokens.push({ type: 'rparen' }); i++; continue; }
+    if (ch === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) { tokens.push({ type: 'not' }); i++; continue; }
+
+    const quoted = ch === '"';
+    const first = quoted ? readQuoted() : readBare(true);
+    const op = QUERY_OPERATORS.find(candidate => query.startsWith(candidate, i));
+    if (op) {
+      if (first === '') throw new QuerySyntaxError(`Put a column name before "${op}", e.g. amount${op}500.`);
+      i += op.length;
+      if (i >= query.length || /[\s()]/.test(query[i])) throw new QuerySyntaxError(`Missing value after "${first}${op}".`);
+      const valueQuoted = query[i] === '"';
+      const value = valueQuoted ? readQuoted() : readBare(false);
+      tokens.push({ type: 'term', field: first, op, value, phrase: valueQuoted });
+    } else if (!quoted && /^(OR|AND|NOT)$/.test(first)) {
+      tokens.push({ type: first.toLowerCase() });
+    } else {
+      tokens.push({ type: 'term', field: null, op: null, value: first, phrase: quoted });
+    }
+  }
+  return tokens;
+};
+
+const buildTermNode = ({ field, op, value, phrase }) => {
+  if (value.trim() === '') throw new QuerySyntaxError(field ? `Missing value after "${field}${op}".` : 'Empty quoted phrase.');
+  const node = { type: 'term', field, op, value, text: value.toLowerCase(), phrase };
+  if (!field && !phrase) node.tokens = tokenizeText(value); // Empty for words with no letters or digits, e.g. "&"
+  if (COMPARISON_OPERATORS.includes(op)) {
+    const number = parseNumericValue(value);
+    const date = number === null ? parseDateValue(value) : null;
+    if (number === null && date === null) {
+      throw new QuerySyntaxError(`"${field}${op}${value}" needs a number or a date (e.g. ${field}${op}2024-01-31).`);
+    }
+    node.compareTo = number !== null ? { kind: 'number', value: number } : { kind: 'date', value: date };
+  }
+  return node;
+};
+
+// Returns the query's syntax tree, or null for a blank query. Throws QuerySyntaxError.
+export const parseSearchQuery = (query) => {
+  const tokens = tokenizeQuery(query);
+  if (tokens.length === 0) return null;
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  const parseUnary = () => {
+    const token = tokens[pos++];
+    if (token.type === 'not') {
+      if (!peek() || ['or', 'and', 'rparen'].includes(peek().type)) throw new QuerySyntaxError('"-" or NOT must be followed by a search term.');
+      return { type: 'not', child: parseUnary() };
+    }
+    if (token.type === 'lparen') {
+      const inner = parseOr();
+      if (!peek() || peek().type !== 'rparen') throw new QuerySyntaxError('Missing closing parenthesis.');
+      pos++;
+      return inner;
+    }
+    return buildTermNode(token);
+  };
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+      if (peek().type === 'and') { pos++; continue; }
+      children.push(parseUnary());
+    }
+    if (children.length === 0) {
+      throw new QuerySyntaxError(peek() ? `Expected a search term before "${peek().type === 'or' ? 'OR' : ')'}".` : 'Expected a search term at the end of the query.');
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const ast = parseOr();
+  if (pos < tokens.length) throw new QuerySyntaxError('Unexpected ")" without a matching "(".');
+  return ast;
+};
+
+// A stored-sheet column filter: ">500", "<=2024-01-31", "=Open", or plain text to find anywhere in the cell.
+export const parseColumnFilter = (header, text) => {
+  const match = text.trim().match(/^(>=|<=|>|<|=)\s*(.*)$/);
+  const [op, value] = match ? [match[1], match[2]] : [':', text.trim()];
+  return buildTermNode({ field: header, op, value, phrase: false });
+};
+
+// Column names referenced anywhere in the query.
+export const collectQueryFields = (node) => {
+  if (!node) return [];
+  if (node.type === 'term') return node.field ? [node.field] : [];
+  if (node.type === 'not') return collectQueryFields(node.child);
+  return node.children.flatMap(collectQueryFields);
+};
+
+// Terms every match must contain (as a term or term prefix); used to narrow candidates through the token index.
+export const collectIndexTerms = (node) => {
+  if (!node) return [];
+  if (node.type === 'term') return node.tokens || [];
+  if (node.type === 'and') return node.children.flatMap(collectIndexTerms);
+  return [];
+};
+
+// Terms that contribute to a match's relevance: plain words and phrase words outside negations.
+export const collectScoreTerms = (node) => {
+  if (!node) return [];
+  if (node.type === 'term') {
+    if (node.field) return [];
+    return node.phrase ? tokenizeText(node.value) : node.tokens;
+  }
+  if (node.type === 'not') return [];
+  return node.children.flatMap(collectScoreTerms);
+};
+
+// A plain word or phrase matches anywhere in the row, or only in term.columns when the search
+// is scoped to columns (see withScopedColumns).
+export const matchesTerm = (term, row, resolveHeader) => {
+  if (!term.field) {
+    const cells = term.columns
+      ? term.columns.map(column => resolveHeader(row, column)).filter(header => header !== undefined).map(header => row[header] === undefined ? '' : row[header])
+      : null;
+    if (term.phrase || term.tokens.length === 0) return (cells || getRowCells(row)).some(cell => String(cell).toLowerCase().includes(term.text));
+    const rowTokens = cells ? tokenizeText(cells.join(' ')) : (row._searchableTokens || []);
+    return term.tokens.every(queryToken => {
+      const variants = term.variants && term.variants[queryToken];
+      return rowTokens.some(token => token.startsWith(queryToken) || (variants !== undefined && variants.includes(token)));
+    });
+  }
+  const header = resolveHeader(row, term.field);
+  if (header === undefined) return false; // Column doesn't exist in this row's sheet
+  const cellText = String(row[header] === undefined ? '' : row[header]).toLowerCase();
+  if (term.op === ':') return cellText.includes(term.text);
+  if (term.op === '=') {
+    const record = getCellRecord(row, header);
+    if (record && record.type === 'boolean') return String(record.value) === term.text;
+    const cellNumber = getNumericValue(row, header);
+    const termNumber = parseNumericValue(term.value);
+    return cellNumber !== null && termNumber !== null ? cellNumber === termNumber : cellText.trim() === term.text.trim();
+  }
+  const cellValue = term.compareTo.kind === 'number' ? getNumericValue(row, header) : getDateValue(row, header);
+  return cellValue !== null && compareValues(cellValue, term.op, term.compareTo.value);
+};
+
+// resolveHeader(row, field) maps a query column name to the header used in that row's sheet, or undefined.
+export const matchesQuery = (node, row, resolveHeader) => {
+  switch (node.type) {
+    case 'and': return node.children.every(child => matchesQuery(child, row, resolveHeader));
+    case 'or': return node.children.some(child => matchesQuery(child, row, resolveHeader));
+    case 'not': return !matchesQuery(node.child, row, resolveHeader);
+    default: return matchesTerm(node, row, resolveHeader);
+  }
+};
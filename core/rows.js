@@ -0,0 +1,17 @@
+import { STORE_NAME, IMPORT_BATCH_SIZE } from './constants.js';
+
+// --- Stored Rows ---
+// Rows written by one import (a stored sheet version), in import order.
+export const sheetRowsCollection = (db, importId) => db[STORE_NAME].where('_importId').equals(importId);
+
+// Deletes the rows returned by getCollection() one bounded transaction at a time.
+export const deleteRowsInBatches = async (db, getCollection, onProgress) => {
+  let deleted = 0;
+  for (;;) {
+    const keys = await getCollection().limit(IMPORT_BATCH_SIZE).primaryKeys();
+    if (keys.length === 0) return deleted;
+    await db[STORE_NAME].bulkDelete(keys);
+    deleted += keys.length;
+    if (onProgress) onProgress(deleted);
+  }
+};
@@ -0,0 +1,110 @@
+import { DB_NAME, STORE_NAME, METADATA_STORE_NAME, IMPORT_JOBS_STORE_NAME, IMPORT_BATCH_SIZE } from './constants.js';
+import { buildTermIndex, getRowCells } from './textIndex.js';
+import { createImportJobId } from './imports.js';
+
+// --- Dexie Database Setup ---
+// Schema history, oldest first. Each migration is one Dexie version: the stores it adds or
+// re-indexes, and optionally an upgrade(tx, onProgress) that carries existing rows and
+// metadata forward. When an older database is opened, Dexie runs every newer upgrade in
+// order inside one versionchange transaction, so a failed upgrade leaves the data as it was.
+// Released migrations must not change; add a new version instead of renaming the database.
+export const SCHEMA_MIGRATIONS = [
+  {
+    version: 3,
+    description: 'initial schema',
+    stores: {
+      [STORE_NAME]: '++id, fileName, *_searchableTokens', // Index filename and searchable tokens (multiEntry)
+      [METADATA_STORE_NAME]: 'fileName, headers' // Store metadata like headers
+    }
+  },
+  {
+    version: 4,
+    description: 'resumable imports',
+    stores: {
+      [STORE_NAME]: '++id, fileName, *_searchableTokens, _importId', // _importId ties each row to the import that wrote it
+      [IMPORT_JOBS_STORE_NAME]: 'jobId, fileName' // Checkpoints for batched, resumable imports
+    }
+  },
+  {
+    version: 5,
+    description: 're-indexing rows for ranked search',
+    upgrade: (tx, onProgress) => reindexStoredRows(tx, onProgress) // Re-tokenize rows and record term frequencies
+  },
+  {
+    version: 6,
+    description: 'starting version history',
+    upgrade: (tx, onProgress) => startVersionHistory(tx, onProgress) // Give every sheet an importId and a version list
+  }
+];
+
+// Creates the Dexie instance for the app's database from the given Dexie class, with every
+// schema version declared. Dexie opens it (and runs any pending upgrades) on first use.
+// Upgrade progress is passed to onMigrationProgress(message); dexieOptions go to
+// the Dexie constructor, e.g. { indexedDB, IDBKeyRange } outside the browser.
+export const openDatabase = (Dexie, { name = DB_NAME, onMigrationProgress, dexieOptions } = {}) => {
+  const db = new Dexie(name, dexieOptions);
+  const report = (message) => {
+    if (onMigrationProgress) onMigrationProgress(message);
+  };
+  SCHEMA_MIGRATIONS.forEach(migration => {
+    const version = db.version(migration.version).stores(migration.stores || {});
+    if (!migration.upgrade) return;
+    version.upgrade(async (tx) => {
+      const label = `Upgrading database to version ${migration.version} (${migration.description})...`;
+      report(label);
+      await migration.upgrade(tx, progress => report(`${label} ${progress}`));
+      report(`Database upgraded to version ${migration.version}.`);
+    });
+  });
+  // Another open tab still using the old version has to close (or reload) before the upgrade can start.
+  db.on('blocked', () => report('Database upgrade waiting: close other tabs of this app.'));
+  return db;
+};
+
+// Version 5 upgrade: rebuilds every row's index fields with tokenizeText and fills in the
+// row/token totals that sheet metadata and unfinished import jobs now keep.
+const reindexStoredRows = async (tx, onProgress) => {
+  const metas = await tx.table(METADATA_STORE_NAME).toArray();
+  const jobs = await tx.table(IMPORT_JOBS_STORE_NAME).toArray();
+  const liveImports = {};
+  metas.forEach(meta => { liveImports[meta.fileName] = meta.importId; });
+  const sheetTotals = {};
+  const jobTokens = {};
+  const rowTotal = await tx.table(STORE_NAME).count();
+  let rowsDone = 0;
+  await tx.table(STORE_NAME).toCollection().modify(row => {
+    Object.assign(row, buildTermIndex(getRowCells(row)));
+    rowsDone++;
+    if (onProgress && rowsDone % IMPORT_BATCH_SIZE === 0) onProgress(`${rowsDone.toLocaleString()} of ${rowTotal.toLocaleString()} rows`);
+    if (row.fileName in liveImports && row._importId === liveImports[row.fileName]) {
+      const totals = sheetTotals[row.fileName] || (sheetTotals[row.fileName] = { rowCount: 0, tokenCount: 0 });
+      totals.rowCount++;
+      totals.tokenCount += row._tokenCount;
+    }
+    if (row._importId) jobTokens[row._importId] = (jobTokens[row._importId] || 0) + row._tokenCount;
+  });
+  await Promise.all([
+    ...metas.map(meta => tx.table(METADATA_STORE_NAME).update(meta.fileName, sheetTotals[meta.fileName] || { rowCount: 0, tokenCount: 0 })),
+    ...jobs.map(job => tx.table(IMPORT_JOBS_STORE_NAME).update(job.jobId, { tokensWritten: jobTokens[job.jobId] || 0 }))
+  ]);
+};
+
+// Version 6 upgrade: sheets stored before checkpointed imports get an importId (tagged onto
+// their rows), and every sheet starts its history with its current data as version 1.
+const startVersionHistory = async (tx, onProgress) => {
+  const metas = await tx.table(METADATA_STORE_NAME).toArray();
+  for (const [index, meta] of metas.entries()) {
+    if (onProgress) onProgress(`sheet ${index + 1} of ${metas.length}`);
+    const importId = meta.importId || createImportJobId();
+    if (!meta.importId) {
+      await tx.table(STORE_NAME).where('fileName').equals(meta.fileName).filter(row => !row._importId).modify({ _importId: importId });
+    }
+    await tx.table(METADATA_STORE_NAME).update(meta.fileName, {
+      importId,
+      versions: [{
+        version: 1, importId, importedAt: null, rowCount: meta.rowCount || 0, tokenCount: meta.tokenCount || 0,
+        headers: meta.headers || [], sourceName: meta.fileName.split('::')[0], sourceSize: null
+      }]
+    });
+  }
+};
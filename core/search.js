@@ -0,0 +1,286 @@
+import { STORE_NAME, IMPORT_BATCH_SIZE } from './constants.js';
+import { tokenizeText } from './textIndex.js';
+import { QuerySyntaxError, parseSearchQuery, matchesQuery, collectQueryFields, collectIndexTerms, collectScoreTerms } from './query.js';
+
+// --- Ranked Search ---
+// BM25 over the stored rows. A query word matches every stored term it is a prefix of; its
+// term frequency in a row sums those terms' counts, with non-exact terms weighted down.
+// In fuzzy mode a word also matches stored terms within a small edit distance (its "variants").
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PREFIX_MATCH_WEIGHT = 0.5; // A query word that is only a prefix of a stored term counts for less
+const FUZZY_MATCH_WEIGHT = 0.3; // ...and one that only matches with typos counts for less again
+const FUZZY_MIN_TERM_LENGTH = 3; // Shorter words (and numbers) are never matched fuzzily
+const bm25TermFrequency = (row, queryTerm, variants) => {
+  let frequency = 0;
+  (row._searchableTokens || []).forEach(term => {
+    const count = (row._termFreqs && row._termFreqs[term]) || 1;
+    if (term === queryTerm) frequency += count;
+    else if (term.startsWith(queryTerm)) frequency += count * PREFIX_MATCH_WEIGHT;
+    else if (variants && variants.includes(term)) frequency += count * FUZZY_MATCH_WEIGHT;
+  });
+  return frequency;
+};
+
+const scoreRow = (row, termStats, averageLength) => {
+  const length = row._tokenCount || (row._searchableTokens || []).length;
+  return termStats.reduce((score, { term, variants, idf }) => {
+    const frequency = bm25TermFrequency(row, term, variants);
+    if (frequency === 0) return score;
+    return score + idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+  }, 0);
+};
+
+// Optimal string alignment distance (an adjacent swap counts as one edit), or maxEdits + 1
+// as soon as it is certain to exceed maxEdits.
+const boundedEditDistance = (a, b, maxEdits) => {
+  if (Math.abs(a.length - b.length) > maxEdits) return maxEdits + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      current.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+    if (rowMinimum > maxEdits) return maxEdits + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// For each query word with letters and at least FUZZY_MIN_TERM_LENGTH characters, the indexed
+// terms within 1 edit (2 for words of 6+ characters) that it doesn't already prefix-match.
+// `vocabulary` is every distinct indexed term. Returns { queryWord: [terms] } for words with variants.
+export const findFuzzyVariants = (vocabulary, queryTerms) => {
+  const variantsByTerm = {};
+  queryTerms.forEach(queryTerm => {
+    if (queryTerm.length < FUZZY_MIN_TERM_LENGTH || !/\p{L}/u.test(queryTerm)) return;
+    const maxEdits = queryTerm.length >= 6 ? 2 : 1;
+    const variants = vocabulary.filter(term => !term.startsWith(queryTerm) &&
+      boundedEditDistance(queryTerm, term, maxEdits) <= maxEdits);
+    if (variants.length > 0) variantsByTerm[queryTerm] = variants;
+  });
+  return variantsByTerm;
+};
+
+// A copy of the query tree whose plain-word terms carry their fuzzy variants.
+export const withFuzzyVariants = (node, variantsByTerm) => {
+  if (node.type === 'term') {
+    if (!node.tokens || !node.tokens.some(token => variantsByTerm[token])) return node;
+    return { ...node, variants: variantsByTerm };
+  }
+  if (node.type === 'not') return node; // Negated words stay exact
+  return { ...node, children: node.children.map(child => withFuzzyVariants(child, variantsByTerm)) };
+};
+
+// Limits the plain words and phrases of a query to the given columns. Column terms keep their own column.
+export const withScopedColumns = (node, columns) => {
+  if (!columns || columns.length === 0) return node;
+  if (node.type === 'term') return node.field ? node : { ...node, columns };
+  if (node.type === 'not') return { ...node, child: withScopedColumns(node.child, columns) };
+  return { ...node, children: node.children.map(child => withScopedColumns(child, columns)) };
+};
+
+// Which cells of a row matched a query word only through a fuzzy variant:
+// [{ queryTerm, term, header }], e.g. "smyth" matched "smith" in Name.
+export const describeFuzzyMatches = (row, headers, variantsByTerm) => {
+  const matches = [];
+  headers.forEach(header => {
+    const cellTokens = tokenizeText(row[header] === undefined ? '' : row[header]);
+    Object.entries(variantsByTerm).forEach(([queryTerm, variants]) => {
+      if (cellTokens.some(token => token.startsWith(queryTerm))) return;
+      const term = cellTokens.find(token => variants.includes(token));
+      if (term) matches.push({ queryTerm, term, header });
+    });
+  });
+  return matches;
+};
+
+// Every live row matching `ast`, as [{ id, fileName, score, fuzzy }] best first (ties keep
+// import order). isLive(row) hides rows of superseded or unfinished imports; scope
+// ({ sheets, columns }, empty meaning all) limits the search to some sheets, found through the
+// fileName index, and the plain words to some columns; corpus is
+// { rowCount, tokenCount } summed over the stored sheets; fuzzyVariants comes from
+// findFuzzyVariants. Rows that only match thanks to a variant are flagged `fuzzy` and always
+// rank below exact matches. Only ids are kept, so callers load rows a page at a time.
+export const rankSearchHits = async (db, ast, { isLive, resolveHeader, corpus, fuzzyVariants = {}, scope = { sheets: [], columns: [] } }) => {
+  const table = db[STORE_NAME];
+  const exactAst = withScopedColumns(ast, scope.columns);
+  const matchAst = withFuzzyVariants(exactAst, fuzzyVariants);
+  const requiredTerms = [...new Set(collectIndexTerms(ast))];
+  const scoreTerms = [...new Set(collectScoreTerms(ast))];
+  const postings = {};
+  for (const term of new Set([...requiredTerms, ...scoreTerms])) {
+    const ids = await table.where('_searchableTokens').startsWith(term).primaryKeys();
+    if (fuzzyVariants[term]) ids.push(...await table.where('_searchableTokens').anyOf(fuzzyVariants[term]).primaryKeys());
+    postings[term] = new Set(ids);
+  }
+
+  const rowCount = Math.max(corpus.rowCount, 1);
+  const averageLength = corpus.tokenCount > 0 ? corpus.tokenCount / rowCount : 1;
+  const termStats = scoreTerms.map(term => {
+    const documentFrequency = Math.min(postings[term].size, rowCount); // Postings may include rows of unfinished imports
+    return { term, variants: fuzzyVariants[term], idf: Math.log(1 + (rowCount - documentFrequency + 0.5) / (documentFrequency + 0.5)) };
+  });
+
+  const hits = [];
+  const collect = (row) => {
+    if (row && isLive(row) && matchesQuery(matchAst, row, resolveHeader)) {
+      const fuzzy = matchAst !== exactAst && !matchesQuery(exactAst, row, resolveHeader);
+      hits.push({ id: row.id, fileName: row.fileName, score: scoreRow(row, termStats, averageLength), fuzzy });
+    }
+  };
+  const scopedToSheets = scope.sheets.length > 0;
+  if (requiredTerms.length > 0) {
+    const postingSets = requiredTerms.map(term => postings[term]);
+    if (scopedToSheets) postingSets.push(new Set(await table.where('fileName').anyOf(scope.sheets).primaryKeys()));
+    const [smallest, ...others] = postingSets.sort((a, b) => a.size - b.size);
+    const candidateIds = [...smallest].filter(id => others.every(ids => ids.has(id))).sort((a, b) => a - b);
+    for (let start = 0; start < candidateIds.length; start += IMPORT_BATCH_SIZE) {
+      (await table.bulkGet(candidateIds.slice(start, start + IMPORT_BATCH_SIZE))).forEach(collect);
+    }
+  } else if (scopedToSheets) {
+    await table.where('fileName').anyOf(scope.sheets).each(collect); // Only column, phrase or negated terms: scan the scoped sheets
+  } else {
+    await table.each(collect); // Only column, phrase or negated terms: scan every row
+  }
+  return hits.sort((a, b) => Number(a.fuzzy) - Number(b.fuzzy) || b.score - a.score || a.id - b.id);
+};
+
+// Case-insensitive column lookup for column terms, from the stored sheets' metadata
+// ([{ name, headers }]): { byFile: { [fileName]: { [lowercased]: header } }, known: Set(lowercased) }.
+export const indexSheetHeaders = (sheets) => {
+  const byFile = {};
+  const known = new Set();
+  sheets.forEach(sheet => {
+    byFile[sheet.name] = {};
+    (sheet.headers || []).forEach(header => {
+      byFile[sheet.name][header.toLowerCase()] = header;
+      known.add(header.toLowerCase());
+    });
+  });
+  return { byFile, known };
+};
+
+// A search scope restricted to sheets and columns that are still stored. Columns are
+// matched case-insensitively, like column terms in a query.
+export const resolveSearchScope = (scope, headerIndex) => ({
+  sheets: scope.sheets.filter(name => name in headerIndex.byFile),
+  columns: scope.columns.filter(column => headerIndex.known.has(column.toLowerCase()))
+});
+
+// Every distinct indexed term, for fuzzy matching. Worth caching until the stored rows change.
+export const loadSearchVocabulary = db => db[STORE_NAME].orderBy('_searchableTokens').uniqueKeys();
+
+// Runs a query over the stored sheets: `sheets` are listStoredSheets() entries, `scope` comes
+// from resolveSearchScope and `vocabulary` from loadSearchVocabulary (loaded here when a fuzzy
+// search needs it). Returns null for a blank query, otherwise { hits, fuzzyVariants, highlight }.
+// Throws QuerySyntaxError for an invalid query or a column no stored sheet has.
+export const searchStoredSheets = async (db, query, { sheets, headerIndex = indexSheetHeaders(sheets), scope = { sheets: [], columns: [] }, fuzzy = false, vocabulary }) => {
+  const ast = parseSearchQuery(query);
+  if (!ast) return null;
+  const unknownField = collectQueryFields(ast).find(field => !headerIndex.known.has(field.toLowerCase()));
+  if (unknownField) {
+    throw new QuerySyntaxError(`Unknown column "${unknownField}". Put the text in quotes to search for it literally.`);
+  }
+
+  // Rows are only visible when written by the import their sheet's metadata points at;
+  // this hides rows of unfinished imports and of imports being replaced.
+  const liveImportIds = sheets.reduce((acc, sheet) => {
+    acc[sheet.name] = sheet.importId;
+    return acc;
+  }, {});
+  const resolveHeader = (row, field) => {
+    const headersByName = headerIndex.byFile[row.fileName];
+    return headersByName ? headersByName[field.toLowerCase()] : undefined;
+  };
+  // Corpus statistics for BM25, over the sheets being searched.
+  const corpus = sheets
+    .filter(sheet => scope.sheets.length === 0 || scope.sheets.includes(sheet.name))
+    .reduce((acc, sheet) => ({
+      rowCount: acc.rowCount + (sheet.rowCount || 0),
+      tokenCount: acc.tokenCount + (sheet.tokenCount || 0)
+    }), { rowCount: 0, tokenCount: 0 });
+
+  let fuzzyVariants = {};
+  if (fuzzy) {
+    fuzzyVariants = findFuzzyVariants(vocabulary || await loadSearchVocabulary(db), [...new Set(collectScoreTerms(ast))]);
+  }
+  const hits = await rankSearchHits(db, ast, {
+    isLive: row => row.fileName in liveImportIds && row._importId === liveImportIds[row.fileName],
+    resolveHeader,
+    corpus,
+    fuzzyVariants,
+    scope
+  });
+  return { hits, fuzzyVariants, highlight: collectHighlightTerms(ast, fuzzyVariants) };
+};
+
+// --- Match Highlighting ---
+// What to mark in result cells for a query: plain words (with any fuzzy variants), phrases, and
+// column terms. Negated terms are never highlighted.
+export const collectHighlightTerms = (node, variantsByTerm, highlight = { words: [], phrases: [], fields: [] }) => {
+  if (!node || node.type === 'not') return highlight;
+  if (node.type !== 'term') {
+    node.children.forEach(child => collectHighlightTerms(child, variantsByTerm, highlight));
+  } else if (node.field) {
+    highlight.fields.push({ field: node.field.toLowerCase(), op: node.op, text: node.text });
+  } else if (node.phrase || node.tokens.length === 0) {
+    highlight.phrases.push(node.text);
+  } else {
+    node.tokens.forEach(term => highlight.words.push({ term, variants: variantsByTerm[term] || [] }));
+  }
+  return highlight;
+};
+
+// Raw words of a cell, matched the way tokenizeText splits them (combining marks kept so that
+// ranges line up with the original text).
+const HIGHLIGHT_WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:[.,]\p{N}+)*/gu;
+
+// Sorted, non-overlapping [start, end) ranges of `text` (the cell under `header`) to highlight.
+// Words are marked whole when they match a query word; a comparison such as amount>500 marks its whole cell.
+export const findHighlightRanges = (text, header, highlight) => {
+  const ranges = [];
+  const lowerText = text.toLowerCase();
+  const addOccurrences = (needle) => {
+    if (!needle) return;
+    for (let at = lowerText.indexOf(needle); at !== -1; at = lowerText.indexOf(needle, at + needle.length)) {
+      ranges.push([at, at + needle.length]);
+    }
+  };
+  if (highlight.words.length > 0) {
+    for (const match of text.matchAll(HIGHLIGHT_WORD_PATTERN)) {
+      const tokens = tokenizeText(match[0]);
+      const isHit = tokens.some(token => highlight.words.some(({ term, variants }) => token.startsWith(term) || variants.includes(token)));
+      if (isHit) ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  highlight.phrases.forEach(addOccurrences);
+  highlight.fields.forEach(({ field, op, text: value }) => {
+    if (field !== header.toLowerCase()) return;
+    if (op === ':') addOccurrences(value);
+    else if (text) ranges.push([0, text.length]);
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+};
+
+// Loads the rows behind `hits`, in the same order, a bounded batch at a time.
+export const loadHitRows = async (db, hits) => {
+  const rows = [];
+  for (let start = 0; start < hits.length; start += IMPORT_BATCH_SIZE) {
+    const batch = await db[STORE_NAME].bulkGet(hits.slice(start, start + IMPORT_BATCH_SIZE).map(hit => hit.id));
+    batch.forEach(row => { if (row) rows.push(row); });
+  }
+  return rows;
+};
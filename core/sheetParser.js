@@ -0,0 +1,363 @@
+import { HEADER_PREVIEW_ROWS } from './constants.js';
+import { parseDelimitedText } from './textImport.js';
+import { buildTermIndex } from './textIndex.js';
+
+// --- Sheet Parser ---
+// Parsing, row normalization and token generation. In the app this runs in a module worker
+// (parseWorker.js); createInlineParser runs the same parser on the calling thread (Node, other tools).
+
+// loadXLSX() returns the SheetJS instance; it is only called for workbooks.
+// Progress is reported as { phase: 'workbook', sheetCount } and, while each sheet's rows are
+// read, { phase: 'sheet', sheetName, sheetIndex, sheetCount, rowsDone, rowsTotal }.
+export function createSheetParser(loadXLSX) {
+  let sheetReaders = {}; // { [sheetName]: reportRows => cell rows } for the file being parsed
+  let headerConfigs = {}; // { [sheetName]: { headerRow, headerRowCount } }
+  let loadedSheet = null; // The one sheet whose cells are in memory
+  let XLSX = null;
+
+  // Keys the importer stores on every row; a column with one of these names is renamed
+  // "<name> (column)" instead (see buildHeaders).
+  const RESERVED_ROW_KEYS = ['id', 'fileName', '_searchableTokens', '_termFreqs', '_tokenCount', '_values', '_rowNumber', '_importId'];
+
+  const PROGRESS_ROW_INTERVAL = 5000; // Rows read between progress reports
+
+  // Cell objects of the sheet's used range, one array per row (missing cells are undefined),
+  // the 0-based sheet row the range starts at, and merged ranges relative to the used range.
+  // reportRows(rowsDone, rowsTotal) is called every PROGRESS_ROW_INTERVAL rows.
+  const readCellRows = (sheet, reportRows) => {
+    if (!sheet || !sheet['!ref']) return { startRow: 0, rows: [], merges: [] };
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const dense = Array.isArray(sheet['!data']);
+    const rowsTotal = range.e.r - range.s.r + 1;
+    const rows = [];
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const cells = [];
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        cells.push(dense ? (sheet['!data'][r] || [])[c] : sheet[XLSX.utils.encode_cell({ r, c })]);
+      }
+      rows.push(cells);
+      if (rows.length % PROGRESS_ROW_INTERVAL === 0) reportRows(rows.length, rowsTotal);
+    }
+    const merges = (sheet['!merges'] || []).map(merge => ({
+      s: { r: merge.s.r - range.s.r, c: merge.s.c - range.s.c },
+      e: { r: merge.e.r - range.s.r, c: merge.e.c - range.s.c }
+    }));
+    return { startRow: range.s.r, rows, merges };
+  };
+
+  // Display text as Excel shows it (number format applied), falling back to the raw value.
+  const cellText = (cell) => {
+    if (!cell || cell.v === undefined || cell.v === null) return "";
+    if (cell.w !== undefined) return String(cell.w);
+    if (cell.v instanceof Date) return isNaN(cell.v) ? "" : cell.v.toISOString();
+    return String(cell.v);
+  };
+
+  // Typed value for cells that aren't plain text; null for plain text and empty cells.
+  const cellValueRecord = (cell) => {
+    if (!cell || cell.v === undefined || cell.v === null) return null;
+    let record;
+    if (cell.t === 'n') record = { type: 'number', value: cell.v };
+    else if (cell.t === 'b') record = { type: 'boolean', value: cell.v };
+    else if (cell.t === 'd') {
+      if (isNaN(cell.v)) return null;
+      record = { type: 'date', value: cell.v.toISOString() };
+    } else if (cell.t === 'e') record = { type: 'error', value: cellText(cell) };
+    else if (cell.f) record = { type: 'string', value: String(cell.v) };
+    else return null;
+    if (cell.z && cell.z !== 'General') record.format = String(cell.z);
+    if (cell.f) record.formula = `=${cell.f}`;
+    return record;
+  };
+
+  // Plain decimal numbers become numeric cells; anything else (including zero-padded codes
+  // such as "007" and digit strings too long for a double) stays text.
+  const textToCell = (text) => {
+    if (text === '') return undefined;
+    const trimmed = text.trim();
+    if (trimmed.length < 16 && /^-?(0|[1-9]\d*)(\.\d+)?$/.test(trimmed)) return { t: 'n', v: Number(trimmed), w: text };
+    return { t: 's', v: text, w: text };
+  };
+
+  const delimitedToCellRows = (buffer, encoding, delimiter, reportRows) => {
+    const records = parseDelimitedText(new TextDecoder(encoding).decode(buffer), delimiter);
+    const rows = records.map((values, index) => {
+      if ((index + 1) % PROGRESS_ROW_INTERVAL === 0) reportRows(index + 1, records.length);
+      return values.map(textToCell);
+    });
+    return { startRow: 0, rows, merges: [] };
+  };
+
+  // An array of objects becomes a header row (keys in first-seen order) plus one row per object.
+  const jsonToCellRows = (buffer) => {
+    const parsed = JSON.parse(new TextDecoder('utf-8').decode(buffer));
+    if (!Array.isArray(parsed) || !parsed.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+      throw new Error("JSON files must contain an array of objects.");
+    }
+    const headers = [];
+    const seen = new Set();
+    parsed.forEach(item => Object.keys(item).forEach(key => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    }));
+    const valueToCell = (value) => {
+      if (value === null || value === undefined) return undefined;
+      if (typeof value === 'number') return { t: 'n', v: value, w: String(value) };
+      if (typeof value === 'boolean') return { t: 'b', v: value, w: value ? 'TRUE' : 'FALSE' };
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return { t: 's', v: text, w: text };
+    };
+    return {
+      startRow: -1, // No header line in the file, so object n is numbered row n
+      rows: [headers.map(header => ({ t: 's', v: header, w: header })), ...parsed.map(item => headers.map(header => valueToCell(item[header])))],
+      merges: [],
+      fixedHeader: true
+    };
+  };
+
+  // Column names from rows headerRow..headerRow + headerRowCount - 1. A cell covered by a merged
+  // range reads as the range's top-left cell, so a group title spans every column beneath it.
+  // Stacked parts are joined with " / "; blank names become "Column <n>" and repeats get " (2)", " (3)", ...
+  // A name the importer reserves (such as "id") becomes "id (column)", then "id (column 2)", ...,
+  // so the rename doesn't read as a repeated column.
+  const buildHeaders = (sheet, headerRow, headerRowCount) => {
+    const headerRows = sheet.rows.slice(headerRow, headerRow + headerRowCount);
+    const columnCount = sheet.rows.reduce((max, cells) => Math.max(max, cells.length), 0);
+    const textAt = (r, c) => {
+      const merge = sheet.merges.find(m => r >= m.s.r && r <= m.e.r && c >= m.s.c && c <= m.e.c);
+      const cell = merge ? (sheet.rows[merge.s.r] || [])[merge.s.c] : (sheet.rows[r] || [])[c];
+      return cellText(cell).trim();
+    };
+    const names = [];
+    for (let c = 0; c < columnCount; c++) {
+      const parts = [];
+      headerRows.forEach((_, offset) => {
+        const text = textAt(headerRow + offset, c);
+        if (text && text !== parts[parts.length - 1]) parts.push(text);
+      });
+      names.push(parts.join(' / ') || `Column ${c + 1}`);
+    }
+    const taken = new Set(RESERVED_ROW_KEYS);
+    const nameCounts = {};
+    names.forEach(name => { nameCounts[name] = (nameCounts[name] || 0) + 1; });
+    const isFree = candidate => !taken.has(candidate) && !nameCounts[candidate];
+    return names.map((name, c) => {
+      if (RESERVED_ROW_KEYS.includes(name)) {
+        let renamed = `${name} (column)`;
+        for (let suffix = 2; !isFree(renamed); suffix++) renamed = `${name} (column ${suffix})`;
+        taken.add(renamed);
+        return renamed;
+      }
+      if (!taken.has(name) && (nameCounts[name] === 1 || names.indexOf(name) === c)) {
+        taken.add(name);
+        return name;
+      }
+      let suffix = 2;
+      while (!isFree(`${name} (${suffix})`)) suffix++;
+      taken.add(`${name} (${suffix})`);
+      return `${name} (${suffix})`;
+    });
+  };
+
+  // Applies a header choice to a read sheet; rows below the header block become the data rows.
+  const configureSheet = (sheet, headerRow, headerRowCount) => {
+    const row = Math.min(Math.max(0, headerRow), Math.max(0, sheet.rows.length - 1));
+    const count = Math.min(Math.max(1, headerRowCount), Math.max(1, sheet.rows.length - row));
+    sheet.headerRow = row;
+    sheet.headerRowCount = count;
+    sheet.headers = sheet.rows.length > 0 ? buildHeaders(sheet, row, count) : [];
+    sheet.bodyStart = sheet.rows.length > 0 ? row + count : 0;
+  };
+
+  const sheetSummary = (sheet) => ({
+    sheetName: sheet.sheetName,
+    headers: sheet.headers,
+    rowCount: sheet.rows.length - sheet.bodyStart,
+    headerRow: sheet.headerRow,
+    headerRowCount: sheet.headerRowCount,
+    fixedHeader: Boolean(sheet.fixedHeader)
+  });
+
+  // Row objects are built on demand for each 'rows' request, so changing the header
+  // choice never re-reads the file.
+  const buildRow = (sheet, cells, bodyIndex) => {
+    const rowData = {};
+    const values = {};
+    sheet.headers.forEach((header, index) => {
+      rowData[header] = cellText(cells[index]);
+      const record = cellValueRecord(cells[index]);
+      if (record) values[header] = record;
+    });
+    Object.assign(rowData, buildTermIndex(sheet.headers.map(header => rowData[header])));
+    if (Object.keys(values).length > 0) rowData._values = values;
+    rowData._rowNumber = sheet.startRow + sheet.bodyStart + bodyIndex + 1; // 1-based row number as shown in Excel
+    return rowData;
+  };
+
+  // Reads a sheet's cells through its reader. Without a header choice, the first row that isn't
+  // entirely empty becomes its single header row.
+  const readSheet = (sheetName, reportRows, headerConfig) => {
+    const { startRow, rows, merges, fixedHeader } = sheetReaders[sheetName](reportRows);
+    const sheet = { sheetName, startRow, rows, merges, fixedHeader };
+    let headerRow = 0;
+    while (headerRow < rows.length && rows[headerRow].every(cell => cellText(cell) === "")) {
+      headerRow++;
+    }
+    if (headerRow >= rows.length) {
+      sheet.rows = [];
+      headerRow = 0;
+    }
+    if (headerConfig && sheet.rows.length > 0) configureSheet(sheet, headerConfig.headerRow, headerConfig.headerRowCount);
+    else configureSheet(sheet, headerRow, 1);
+    return sheet;
+  };
+
+  // Only one sheet's cells are kept in memory. Asking for another sheet drops them first and
+  // reads that sheet again from the file, with the header choice it was given.
+  const getSheet = (sheetName) => {
+    if (loadedSheet && loadedSheet.sheetName === sheetName) return loadedSheet;
+    if (!sheetReaders[sheetName]) return null;
+    loadedSheet = null;
+    loadedSheet = readSheet(sheetName, () => {}, headerConfigs[sheetName]);
+    return loadedSheet;
+  };
+
+  return {
+    // options: { kind, buffer, sheetName?, encoding?, delimiter?, previewRows } (see IMPORT_KIND_BY_EXTENSION).
+    // Returns a summary of every sheet, with its preview rows.
+    parse: (options, onProgress) => {
+      // A reader per sheet, so workbook sheets are only expanded (and converted) one at a time.
+      sheetReaders = {};
+      headerConfigs = {};
+      loadedSheet = null;
+      if (options.kind === 'delimited') {
+        sheetReaders[options.sheetName] = reportRows => delimitedToCellRows(options.buffer, options.encoding, options.delimiter, reportRows);
+      } else if (options.kind === 'json') {
+        sheetReaders[options.sheetName] = () => jsonToCellRows(options.buffer);
+      } else {
+        XLSX = loadXLSX();
+        const readOptions = { type: 'array', cellDates: true, cellNF: true };
+        XLSX.read(options.buffer, { ...readOptions, bookSheets: true }).SheetNames.forEach(sheetName => {
+          sheetReaders[sheetName] = reportRows => readCellRows(XLSX.read(options.buffer, { ...readOptions, sheets: sheetName }).Sheets[sheetName], reportRows);
+        });
+      }
+      const sheetNames = Object.keys(sheetReaders);
+      const sheetCount = sheetNames.length;
+      onProgress({ phase: 'workbook', sheetCount });
+      return sheetNames.map((sheetName, sheetIndex) => {
+        const reportRows = (rowsDone, rowsTotal) => onProgress({ phase: 'sheet', sheetName, sheetIndex, sheetCount, rowsDone, rowsTotal });
+        loadedSheet = null;
+        const sheet = readSheet(sheetName, reportRows);
+        loadedSheet = sheet;
+        headerConfigs[sheetName] = { headerRow: sheet.headerRow, headerRowCount: sheet.headerRowCount };
+        reportRows(sheet.rows.length, sheet.rows.length);
+        return {
+          ...sheetSummary(sheet),
+          previewRows: sheet.rows.slice(0, Math.max(options.previewRows, sheet.headerRow + 3)).map(cells => cells.map(cellText)),
+          firstRowNumber: sheet.startRow + 1
+        };
+      });
+    },
+    configure: (sheetName, { headerRow, headerRowCount }) => {
+      const sheet = getSheet(sheetName);
+      if (!sheet) throw new Error(`Sheet "${sheetName}" is not loaded.`);
+      if (!sheet.fixedHeader) configureSheet(sheet, headerRow, headerRowCount);
+      headerConfigs[sheetName] = { headerRow: sheet.headerRow, headerRowCount: sheet.headerRowCount };
+      return sheetSummary(sheet);
+    },
+    getRows: (sheetName, start, count) => {
+      const sheet = getSheet(sheetName);
+      const rows = [];
+      if (sheet) {
+        const end = Math.min(sheet.rows.length - sheet.bodyStart, start + count);
+        for (let index = start; index < end; index++) {
+          rows.push(buildRow(sheet, sheet.rows[sheet.bodyStart + index], index));
+        }
+      }
+      return rows;
+    }
+  };
+}
+
+// Spawns a parse worker (parseWorker.js, which bundlers build along with the SheetJS it imports)
+// and wraps its message protocol in promises. The worker keeps the file, and the cells of one
+// sheet at a time, in memory until terminate() is called.
+export const createParseWorker = () => {
+  const worker = new Worker(new URL('./parseWorker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextRequestId = 1;
+  let progressHandler = null;
+
+  const rejectAll = (error) => {
+    pending.forEach(request => request.reject(error));
+    pending.clear();
+  };
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'progress') {
+      if (progressHandler) progressHandler(message);
+      return;
+    }
+    const request = pending.get(message.requestId);
+    if (!request) return;
+    pending.delete(message.requestId);
+    if (message.type === 'error') request.reject(new Error(message.message));
+    else request.resolve(message);
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    rejectAll(new Error(event.message || "Parse worker failed."));
+  };
+
+  const send = (message, transfer = []) => new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    pending.set(requestId, { resolve, reject });
+    worker.postMessage({ ...message, requestId }, transfer);
+  });
+
+  return {
+    // options: { kind, sheetName?, encoding?, delimiter? } (see IMPORT_KIND_BY_EXTENSION).
+    // The buffer is transferred to the worker and is unusable on the main thread afterwards.
+    parse: (buffer, options, onProgress) => {
+      progressHandler = onProgress;
+      return send({ ...options, type: 'parse', buffer, previewRows: HEADER_PREVIEW_ROWS }, [buffer])
+        .then(message => message.sheets);
+    },
+    // Re-derives a sheet's headers from `headerRowCount` rows starting at `headerRow` (0-based within
+    // the sheet's used range); resolves with the updated { headers, rowCount, headerRow, headerRowCount }.
+    configure: (sheetName, { headerRow, headerRowCount }) => send({ type: 'configure', sheetName, headerRow, headerRowCount })
+      .then(message => message.sheet),
+    getRows: (sheetName, start, count) => send({ type: 'rows', sheetName, start, count }).then(message => message.rows),
+    terminate: () => {
+      worker.terminate();
+      rejectAll(new Error("Import cancelled."));
+    }
+  };
+};
+
+// The same interface as createParseWorker, parsing on the calling thread with the given
+// SheetJS instance (only needed for workbooks). The buffer is not transferred.
+export const createInlineParser = ({ XLSX } = {}) => {
+  let parser = null;
+  const loadXLSX = () => {
+    if (!XLSX) throw new Error("XLSX library (SheetJS) not loaded.");
+    return XLSX;
+  };
+  return {
+    parse: async (buffer, options, onProgress) => {
+      parser = createSheetParser(loadXLSX);
+      return parser.parse({ ...options, buffer, previewRows: HEADER_PREVIEW_ROWS }, progress => { if (onProgress) onProgress(progress); });
+    },
+    configure: async (sheetName, headerConfig) => {
+      if (!parser) throw new Error(`Sheet "${sheetName}" is not loaded.`);
+      return parser.configure(sheetName, headerConfig);
+    },
+    getRows: async (sheetName, start, count) => (parser ? parser.getRows(sheetName, start, count) : []),
+    terminate: () => {
+      parser = null;
+    }
+  };
+};
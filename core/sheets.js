@@ -0,0 +1,39 @@
+import { STORE_NAME, METADATA_STORE_NAME, IMPORT_JOBS_STORE_NAME } from './constants.js';
+import { deleteRowsInBatches } from './rows.js';
+
+// --- Stored Sheets ---
+// Each stored sheet is keyed `fileName::sheetName` in the metadata store.
+
+// Every stored sheet as { name, headers, importId, rowCount, tokenCount, versions, importedAt,
+// sourceSize, storedBytes, columnPrefs, displayName, tags }. importedAt and sourceSize describe
+// the live version; storedBytes sums every kept version (null when none was measured).
+export const listStoredSheets = async (db) => {
+  const metas = await db[METADATA_STORE_NAME].toArray();
+  return metas.map(meta => {
+    const versions = meta.versions || [];
+    const liveVersion = versions.find(entry => entry.importId === meta.importId) || {};
+    const sizedVersions = versions.filter(entry => typeof entry.storedBytes === 'number');
+    return {
+      name: meta.fileName, headers: meta.headers, importId: meta.importId,
+      rowCount: meta.rowCount || 0, tokenCount: meta.tokenCount || 0, versions,
+      importedAt: liveVersion.importedAt || null, sourceSize: liveVersion.sourceSize || null,
+      storedBytes: sizedVersions.length > 0 ? sizedVersions.reduce((sum, entry) => sum + entry.storedBytes, 0) : null,
+      columnPrefs: meta.columnPrefs || null, displayName: meta.displayName || '', tags: meta.tags || []
+    };
+  });
+};
+
+// Saves per-sheet settings kept in its metadata: columnPrefs, displayName or tags.
+export const updateSheetSettings = (db, fileIdentifier, changes) => db[METADATA_STORE_NAME].update(fileIdentifier, changes);
+
+// Deletes stored sheets with all of their versions. Dropping the metadata (and any checkpoints)
+// first hides the rows at once, and onHidden() is called; the rows themselves are then removed
+// in bounded batches, reported through onProgress(rowsDeleted).
+export const deleteStoredSheets = async (db, fileIdentifiers, { onHidden, onProgress } = {}) => {
+  await db.transaction('rw', db[METADATA_STORE_NAME], db[IMPORT_JOBS_STORE_NAME], async () => {
+    await db[METADATA_STORE_NAME].bulkDelete(fileIdentifiers);
+    await db[IMPORT_JOBS_STORE_NAME].where('fileName').anyOf(fileIdentifiers).delete();
+  });
+  if (onHidden) await onHidden();
+  return deleteRowsInBatches(db, () => db[STORE_NAME].where('fileName').anyOf(fileIdentifiers), onProgress);
+};
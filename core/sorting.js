@@ -0,0 +1,43 @@
+import { getNumericValue } from './cellValues.js';
+
+// --- Sorting & Column Preferences ---
+// Numbers and dates sort numerically (using typed values), before any text; text sorts
+// naturally ("Item 2" before "Item 10"), ignoring case.
+export const compareRowsByColumn = (a, b, header) => {
+  const numberA = getNumericValue(a, header);
+  const numberB = getNumericValue(b, header);
+  if (numberA !== null && numberB !== null) return numberA - numberB;
+  if (numberA !== null) return -1;
+  if (numberB !== null) return 1;
+  return String(a[header] ?? '').localeCompare(String(b[header] ?? ''), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+export const sortRows = (rows, sort) => {
+  if (!sort || !sort.column) return rows;
+  const direction = sort.direction === 'desc' ? -1 : 1;
+  return [...rows].sort((a, b) => compareRowsByColumn(a, b, sort.column) * direction);
+};
+
+// Clicking a header cycles ascending -> descending -> unsorted.
+export const nextSort = (sort, column) => {
+  if (!sort || sort.column !== column) return { column, direction: 'asc' };
+  if (sort.direction === 'asc') return { column, direction: 'desc' };
+  return null;
+};
+
+// Column preferences are saved per sheet in fileMetadataV2 as
+// `columnPrefs: { columnOrder: [header...], hiddenColumns: [header...] }`.
+// Columns added since the preferences were saved are appended in sheet order;
+// columns that no longer exist are ignored.
+export const getOrderedColumns = (headers, prefs) => {
+  const order = ((prefs && prefs.columnOrder) || []).filter(header => headers.includes(header));
+  headers.forEach(header => {
+    if (!order.includes(header)) order.push(header);
+  });
+  return order;
+};
+
+export const getVisibleColumns = (headers, prefs) => {
+  const hidden = new Set((prefs && prefs.hiddenColumns) || []);
+  return getOrderedColumns(headers, prefs).filter(header => !hidden.has(header));
+};
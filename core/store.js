@@ -0,0 +1,97 @@
+import { openDatabase } from './schema.js';
+import { sheetRowsCollection } from './rows.js';
+import { listStoredSheets, deleteStoredSheets, updateSheetSettings } from './sheets.js';
+import { importParsedSheets } from './ingest.js';
+import { createInlineParser } from './sheetParser.js';
+import { TEXT_SAMPLE_BYTES, getFileExtension, getImportKind, detectTextEncoding, decodeTextSample, detectDelimiter } from './textImport.js';
+import { indexSheetHeaders, resolveSearchScope, searchStoredSheets, loadHitRows } from './search.js';
+import { restoreSheetVersion, pruneSheetVersions } from './versions.js';
+import { buildExportBlob } from './export.js';
+import { createBackupBlob, validateBackup, restoreBackup } from './backup.js';
+
+// --- Excel Store ---
+// The ingestion, search and storage API without any UI: everything the app does with its
+// database, for scripts, tests and other tools. Dexie and XLSX (SheetJS) are passed in, e.g.
+//   const store = createExcelStore({ Dexie, XLSX });
+//   await store.importFile({ name: 'orders.xlsx', buffer });
+//   const { hits } = await store.search('status:open amount>500');
+//   const rows = await store.loadRows(hits.slice(0, 50));
+// Files are parsed on the calling thread; the app uses createParseWorker instead.
+export const createExcelStore = ({ Dexie, XLSX, name, dexieOptions, onMigrationProgress } = {}) => {
+  if (!Dexie) throw new Error("Dexie is required to open the database.");
+  const db = openDatabase(Dexie, { name, dexieOptions, onMigrationProgress });
+
+  // file: { name, buffer, size?, lastModified? }. Text files are read with the given encoding and
+  // delimiter, or the detected ones. Every sheet with data is stored unless sheetNames picks some;
+  // importMode 'merge' (with keyColumns) merges into sheets already stored. The remaining options
+  // and the result are those of importParsedSheets.
+  const importFile = async (file, {
+    sheetNames, encoding, delimiter, importMode = 'replace', keyColumns = [], onParseProgress, ...importOptions
+  } = {}) => {
+    const kind = getImportKind(file.name);
+    if (!kind) throw new Error(`Unsupported file type: "${file.name}".`);
+    const parseOptions = { kind, sheetName: file.name.substring(0, file.name.lastIndexOf('.')) || file.name };
+    if (kind === 'delimited') {
+      const sampleBytes = new Uint8Array(file.buffer.slice(0, TEXT_SAMPLE_BYTES));
+      parseOptions.encoding = encoding || detectTextEncoding(sampleBytes);
+      parseOptions.delimiter = delimiter || (getFileExtension(file.name) === '.tsv'
+        ? '\t'
+        : detectDelimiter(decodeTextSample(sampleBytes, parseOptions.encoding), file.buffer.byteLength > TEXT_SAMPLE_BYTES));
+    }
+    const parser = createInlineParser({ XLSX });
+    try {
+      const sheets = await parser.parse(file.buffer, parseOptions, onParseProgress);
+      const selected = sheets
+        .filter(sheet => sheet.rowCount > 0 && (!sheetNames || sheetNames.includes(sheet.sheetName)))
+        .map(sheet => ({ ...sheet, importMode, keyColumns }));
+      const source = { name: file.name, size: file.size ?? file.buffer.byteLength, lastModified: file.lastModified ?? null, parseOptions };
+      return await importParsedSheets(db, parser, source, selected, importOptions);
+    } finally {
+      parser.terminate();
+    }
+  };
+
+  // options: { scope: { sheets, columns }, fuzzy }. See searchStoredSheets for the result.
+  const search = async (query, { scope = { sheets: [], columns: [] }, fuzzy = false } = {}) => {
+    const sheets = await listStoredSheets(db);
+    const headerIndex = indexSheetHeaders(sheets);
+    return searchStoredSheets(db, query, { sheets, headerIndex, scope: resolveSearchScope(scope, headerIndex), fuzzy });
+  };
+
+  const findSheet = async (fileIdentifier) => {
+    const sheet = (await listStoredSheets(db)).find(candidate => candidate.name === fileIdentifier);
+    if (!sheet) throw new Error(`"${fileIdentifier}" is not stored.`);
+    return sheet;
+  };
+
+  // The live rows of a stored sheet, in import order.
+  const loadSheetRows = async (fileIdentifier) => sheetRowsCollection(db, (await findSheet(fileIdentifier)).importId).toArray();
+
+  return {
+    db,
+    importFile,
+    search,
+    loadSheetRows,
+    listSheets: () => listStoredSheets(db),
+    loadRows: hits => loadHitRows(db, hits),
+    updateSheet: (fileIdentifier, changes) => updateSheetSettings(db, fileIdentifier, changes),
+    deleteSheets: (fileIdentifiers, options) => deleteStoredSheets(db, fileIdentifiers, options),
+    // Versions are listed on each sheet (see listSheets); importId picks the one to make live.
+    restoreVersion: (fileIdentifier, importId) => restoreSheetVersion(db, fileIdentifier, importId),
+    pruneVersions: (fileIdentifier, retention) => pruneSheetVersions(db, fileIdentifier, retention),
+    // A Blob of the sheet's live rows as 'xlsx', 'csv' or 'json'.
+    exportSheet: async (fileIdentifier, format) => {
+      const sheet = await findSheet(fileIdentifier);
+      const rows = await sheetRowsCollection(db, sheet.importId).toArray();
+      return buildExportBlob([{ label: fileIdentifier.split('::')[1] || fileIdentifier, headers: sheet.headers || [], rows }], format, { XLSX });
+    },
+    createBackup: onProgress => createBackupBlob(db, onProgress),
+    // Validates the whole backup before writing anything; mode is 'merge' or 'replace'.
+    restoreBackup: async (file, mode, onProgress) => {
+      const backup = await validateBackup(db, file);
+      await restoreBackup(db, file, { mode, metas: backup.metas, rowCount: backup.rowCount }, onProgress);
+      return backup;
+    },
+    close: () => db.close()
+  };
+};
@@ -0,0 +1,128 @@
+import { sheetRowsCollection } from './rows.js';
+import { getCellRecord, parseNumericValue } from './cellValues.js';
+
+// --- Sheet Summaries ---
+// Column profiles and pivots are computed in one pass over a stored version's rows.
+const PROFILE_DISTINCT_LIMIT = 10000; // Distinct values tracked per column; beyond this the count is a lower bound
+const PROFILE_TOP_VALUES = 5;
+export const PIVOT_COLUMN_LIMIT = 50; // Distinct values allowed in a pivot's column field
+export const PIVOT_AGGREGATES = [
+  { id: 'count', label: 'Count of rows' },
+  { id: 'sum', label: 'Sum' },
+  { id: 'avg', label: 'Average' }
+];
+
+// Numbers for statistics: typed numbers and numeric text, but not dates.
+const getStatisticValue = (row, header) => {
+  const record = getCellRecord(row, header);
+  if (record && record.type === 'date') return null;
+  if (record && record.type === 'number') return record.value;
+  return parseNumericValue(row[header] === undefined || row[header] === null ? '' : row[header]);
+};
+
+const roundStatistic = value => Math.round(value * 1e6) / 1e6; // Hides float noise such as 0.30000000000000004
+
+// Per column: { header, filled, empty, distinct, distinctCapped, topValues: [{ value, count }],
+// numeric: { count, min, max, sum, mean } | null }.
+export const profileSheetColumns = async (db, importId, headers) => {
+  const stats = headers.map(header => ({ header, filled: 0, empty: 0, counts: new Map(), capped: false, numbers: null }));
+  await sheetRowsCollection(db, importId).each(row => {
+    stats.forEach(stat => {
+      const text = row[stat.header] === undefined || row[stat.header] === null ? '' : String(row[stat.header]);
+      if (text.trim() === '') {
+        stat.empty++;
+        return;
+      }
+      stat.filled++;
+      if (stat.counts.has(text)) stat.counts.set(text, stat.counts.get(text) + 1);
+      else if (stat.counts.size < PROFILE_DISTINCT_LIMIT) stat.counts.set(text, 1);
+      else stat.capped = true;
+      const number = getStatisticValue(row, stat.header);
+      if (number === null) return;
+      if (!stat.numbers) stat.numbers = { count: 0, min: number, max: number, sum: 0 };
+      stat.numbers.count++;
+      stat.numbers.min = Math.min(stat.numbers.min, number);
+      stat.numbers.max = Math.max(stat.numbers.max, number);
+      stat.numbers.sum += number;
+    });
+  });
+  return stats.map(stat => ({
+    header: stat.header,
+    filled: stat.filled,
+    empty: stat.empty,
+    distinct: stat.counts.size,
+    distinctCapped: stat.capped,
+    topValues: [...stat.counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, PROFILE_TOP_VALUES).map(([value, count]) => ({ value, count })),
+    numeric: stat.numbers && {
+      ...stat.numbers, sum: roundStatistic(stat.numbers.sum), mean: roundStatistic(stat.numbers.sum / stat.numbers.count)
+    }
+  }));
+};
+
+// Groups rows by rowField (and optionally columnField) and aggregates each group: a row count,
+// or the sum/average of valueField's numeric cells. Returns a table { headers, rows } ready to
+// show or export, with a Total column when there is a column field. Headers are the row keys, so
+// a column value that matches the row field or another header gets " (2)", " (3)", ..., and one
+// named `id` becomes "id (column)", as imported columns do.
+export const buildPivot = async (db, importId, { rowField, columnField, valueField, aggregate }) => {
+  const groupLabel = value => {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    return text === '' ? '(blank)' : text;
+  };
+  const cells = new Map(); // rowKey -> Map(columnKey -> { rows, count, sum })
+  const columnKeys = new Set();
+  const totalKey = '\u0000total';
+  const addTo = (rowCells, columnKey, number) => {
+    if (!rowCells.has(columnKey)) rowCells.set(columnKey, { rows: 0, count: 0, sum: 0 });
+    const cell = rowCells.get(columnKey);
+    cell.rows++;
+    if (number !== null) {
+      cell.count++;
+      cell.sum += number;
+    }
+  };
+  await sheetRowsCollection(db, importId).each(row => {
+    const rowKey = groupLabel(row[rowField]);
+    const number = aggregate === 'count' ? null : getStatisticValue(row, valueField);
+    if (!cells.has(rowKey)) cells.set(rowKey, new Map());
+    const rowCells = cells.get(rowKey);
+    if (columnField) {
+      const columnKey = groupLabel(row[columnField]);
+      if (!columnKeys.has(columnKey) && columnKeys.size >= PIVOT_COLUMN_LIMIT) {
+        throw new Error(`"${columnField}" has more than ${PIVOT_COLUMN_LIMIT} distinct values. Use it for rows instead, or pick another column.`);
+      }
+      columnKeys.add(columnKey);
+      addTo(rowCells, columnKey, number);
+    }
+    addTo(rowCells, totalKey, number);
+  });
+
+  const aggregateLabel = aggregate === 'count' ? 'Count' : `${aggregate === 'sum' ? 'Sum' : 'Average'} of ${valueField}`;
+  const valueOf = (cell) => {
+    if (!cell) return '';
+    if (aggregate === 'count') return cell.rows;
+    if (cell.count === 0) return '';
+    return roundStatistic(aggregate === 'sum' ? cell.sum : cell.sum / cell.count);
+  };
+  const naturalOrder = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+  const sortedColumns = [...columnKeys].sort(naturalOrder);
+  const taken = new Set(['id', rowField]);
+  const uniqueHeader = (label) => {
+    const numbered = label === 'id' ? suffix => `id (column ${suffix})` : suffix => `${label} (${suffix})`;
+    let header = label === 'id' ? 'id (column)' : label;
+    for (let suffix = 2; taken.has(header); suffix++) header = numbered(suffix);
+    taken.add(header);
+    return header;
+  };
+  const columnHeaders = sortedColumns.map(uniqueHeader);
+  const totalHeader = uniqueHeader(columnField ? 'Total' : aggregateLabel);
+  const headers = [rowField, ...columnHeaders, totalHeader];
+  const rows = [...cells.keys()].sort(naturalOrder).map((rowKey, index) => {
+    const rowCells = cells.get(rowKey);
+    const row = { id: index + 1, [rowField]: rowKey };
+    sortedColumns.forEach((columnKey, columnIndex) => { row[columnHeaders[columnIndex]] = valueOf(rowCells.get(columnKey)); });
+    row[totalHeader] = valueOf(rowCells.get(totalKey));
+    return row;
+  });
+  return { headers, rows, aggregateLabel };
+};
@@ -0,0 +1,108 @@
+
+// --- Text Import Helpers ---
+// Delimited text (CSV/TSV) and JSON are parsed by the sheet parser too; the app only
+// sniffs a sample to offer encoding/delimiter choices with a preview.
+export const TEXT_SAMPLE_BYTES = 64 * 1024;
+export const TEXT_PREVIEW_ROWS = 10;
+export const TEXT_ENCODINGS = ['utf-8', 'windows-1252', 'iso-8859-1', 'utf-16le', 'utf-16be'];
+export const DELIMITER_OPTIONS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: '\t', label: 'Tab' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '|', label: 'Pipe (|)' }
+];
+
+// 'workbook' (parsed by SheetJS), 'delimited' or 'json', by file extension; null if unsupported.
+export const IMPORT_KIND_BY_EXTENSION = {
+  '.xlsx': 'workbook', '.xls': 'workbook', '.ods': 'workbook',
+  '.csv': 'delimited', '.tsv': 'delimited',
+  '.json': 'json'
+};
+
+export const getFileExtension = fileName => fileName.substring(fileName.lastIndexOf('.')).toLowerCase();
+
+export const getImportKind = fileName => IMPORT_KIND_BY_EXTENSION[getFileExtension(fileName)] || null;
+
+// RFC 4180 parsing: quoted fields may hold delimiters, doubled quotes and line breaks;
+// rows end at CRLF, LF or CR. Stops after maxRows rows when given.
+export function parseDelimitedText(text, delimiter, maxRows) {
+  const limit = maxRows === undefined ? Infinity : maxRows;
+  const length = text.length;
+  const rows = [];
+  if (length === 0) return rows;
+  let row = [];
+  let i = 0;
+  while (rows.length < limit) {
+    let value = '';
+    if (text[i] === '"') {
+      let position = i + 1;
+      for (;;) {
+        const quote = text.indexOf('"', position);
+        if (quote === -1) { // Unterminated quote: take the rest of the text
+          value += text.slice(position);
+          position = length;
+          break;
+        }
+        value += text.slice(position, quote);
+        if (text[quote + 1] === '"') {
+          value += '"';
+          position = quote + 2;
+          continue;
+        }
+        position = quote + 1;
+        break;
+      }
+      i = position;
+      while (i < length && text[i] !== delimiter && text[i] !== '\n' && text[i] !== '\r') value += text[i++]; // Stray text after a closing quote
+    } else {
+      const start = i;
+      while (i < length && text[i] !== delimiter && text[i] !== '\n' && text[i] !== '\r') i++;
+      value = text.slice(start, i);
+    }
+    row.push(value);
+    if (i >= length) {
+      rows.push(row);
+      break;
+    }
+    if (text[i] === delimiter) {
+      i++;
+      continue;
+    }
+    rows.push(row);
+    row = [];
+    i += text[i] === '\r' && text[i + 1] === '\n' ? 2 : 1;
+    if (i >= length) break; // A trailing line break doesn't start another row
+  }
+  return rows;
+}
+
+// Encoding from the byte-order mark; otherwise UTF-8 if the sample decodes cleanly, else Windows-1252.
+export const detectTextEncoding = (bytes) => {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true }); // stream: a cut-off final character isn't an error
+    return 'utf-8';
+  } catch (error) {
+    return 'windows-1252';
+  }
+};
+
+export const decodeTextSample = (bytes, encoding) => new TextDecoder(encoding).decode(bytes, { stream: true });
+
+// The candidate that splits most sample rows into the same number (> 1) of fields.
+export const detectDelimiter = (sampleText, truncated) => {
+  let best = { delimiter: ',', score: 0 };
+  DELIMITER_OPTIONS.forEach(({ value: delimiter }) => {
+    const rows = parseDelimitedText(sampleText, delimiter, 50);
+    if (truncated && rows.length > 1) rows.pop(); // The sample may end mid-row
+    const frequency = {};
+    rows.forEach(row => { frequency[row.length] = (frequency[row.length] || 0) + 1; });
+    Object.entries(frequency).forEach(([fieldCount, count]) => {
+      const score = Number(fieldCount) > 1 ? count * 1000 + Number(fieldCount) : 0;
+      if (score > best.score) best = { delimiter, score };
+    });
+  });
+  return best.delimiter;
+};
@@ -0,0 +1,34 @@
+
+// --- Full-Text Index ---
+// Every stored row carries:
+//   _searchableTokens  its distinct terms (multiEntry index, i.e. the inverted index term -> rows)
+//   _termFreqs         { term: count } for terms that occur more than once (others occur once)
+//   _tokenCount        total number of terms, the document length used by BM25
+// Sheet metadata keeps rowCount and tokenCount for the corpus statistics.
+
+// Lowercased terms with diacritics removed. Letters and digits form terms; everything else
+// separates them, except a decimal point inside a number ("12.50") and thousands separators
+// ("1,234" becomes "1234").
+export function tokenizeText(text) {
+  const normalized = String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+  return normalized.match(/[\p{L}\p{N}]+(?:\.\p{N}+)*/gu) || [];
+}
+
+// Index fields for a row from its cell texts. Shared with the parse worker.
+export function buildTermIndex(texts) {
+  const counts = {};
+  let tokenCount = 0;
+  texts.forEach(text => tokenizeText(text).forEach(term => {
+    counts[term] = (counts[term] || 0) + 1;
+    tokenCount++;
+  }));
+  const termFreqs = {};
+  Object.keys(counts).forEach(term => { if (counts[term] > 1) termFreqs[term] = counts[term]; });
+  return { _searchableTokens: Object.keys(counts), _termFreqs: termFreqs, _tokenCount: tokenCount };
+}
+
+// The user-visible cells of a stored row (everything except id, fileName and internal `_` fields).
+export const getRowCells = (row) => Object.keys(row)
+  .filter(key => !key.startsWith('_') && key !== 'id' && key !== 'fileName')
+  .map(key => row[key]);
@@ -0,0 +1,44 @@
+import { METADATA_STORE_NAME } from './constants.js';
+import { sheetRowsCollection, deleteRowsInBatches } from './rows.js';
+
+// --- Version History ---
+// Each finished import of a sheet is kept as a numbered version in its metadata record:
+//   versions: [{ version, importId, importedAt, rowCount, tokenCount, storedBytes, headers, sourceName, sourceSize, mergedFrom? }]
+// meta.importId names the live version; restoring a version only moves that pointer. A merge
+// re-import adds a version too, recording in mergedFrom the version it was applied to. (Merges
+// made before that edited the live version in place and only carry a mergedAt time.)
+
+// The newest `retention` versions are kept, plus the live one if it is older.
+export const splitRetainedVersions = (versions, liveImportId, retention) => {
+  const newestFirst = [...versions].sort((a, b) => b.version - a.version);
+  const kept = newestFirst.filter((entry, index) => index < retention || entry.importId === liveImportId);
+  const pruned = newestFirst.filter(entry => !kept.includes(entry));
+  return { kept: kept.reverse(), pruned };
+};
+
+// Applies `retention` to a stored sheet now. Returns the number of versions removed.
+export const pruneSheetVersions = async (db, fileIdentifier, retention) => {
+  let pruned = [];
+  await db.transaction('rw', db[METADATA_STORE_NAME], async () => {
+    const meta = await db[METADATA_STORE_NAME].get(fileIdentifier);
+    if (!meta) return;
+    const split = splitRetainedVersions(meta.versions || [], meta.importId, retention);
+    pruned = split.pruned;
+    if (pruned.length > 0) await db[METADATA_STORE_NAME].update(fileIdentifier, { versions: split.kept });
+  });
+  // The versions are gone from the metadata first, so an interrupted cleanup only leaves unreachable rows.
+  for (const entry of pruned) await deleteRowsInBatches(db, () => sheetRowsCollection(db, entry.importId));
+  return pruned.length;
+};
+
+// Makes an older version of a sheet live again.
+export const restoreSheetVersion = async (db, fileIdentifier, importId) => {
+  await db.transaction('rw', db[METADATA_STORE_NAME], async () => {
+    const meta = await db[METADATA_STORE_NAME].get(fileIdentifier);
+    const entry = meta && (meta.versions || []).find(candidate => candidate.importId === importId);
+    if (!entry) throw new Error(`That version of "${fileIdentifier}" is no longer stored.`);
+    await db[METADATA_STORE_NAME].update(fileIdentifier, {
+      importId, headers: entry.headers, rowCount: entry.rowCount, tokenCount: entry.tokenCount
+    });
+  });
+};
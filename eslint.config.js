@@ -0,0 +1,37 @@
+import react from 'eslint-plugin-react';
+import reactHooks from 'eslint-plugin-react-hooks';
+import globals from 'globals';
+
+export default [
+  { ignores: ['dist/'] },
+  {
+    files: ['**/*.{js,jsx}'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+      parserOptions: { ecmaFeatures: { jsx: true } },
+      globals: { ...globals.browser, ...globals.worker }
+    },
+    plugins: { react, 'react-hooks': reactHooks },
+    settings: { react: { version: '18' } },
+    rules: {
+      'no-undef': 'error',
+      'no-unused-vars': ['warn', { args: 'none', caughtErrors: 'none' }],
+      'react/jsx-uses-vars': 'error',
+      'react/jsx-uses-react': 'error',
+      'react/jsx-no-undef': 'error',
+      'react-hooks/rules-of-hooks': 'error',
+      'react-hooks/exhaustive-deps': 'warn',
+      'no-dupe-keys': 'error',
+      'no-unreachable': 'error'
+    }
+  },
+  {
+    files: ['test/**/*.js', '*.config.js'],
+    languageOptions: { globals: globals.node }
+  },
+  {
+    files: ['sw.js'],
+    languageOptions: { globals: globals.serviceworker }
+  }
+];
@@ -0,0 +1,25 @@
+import { useState, useCallback, useRef } from 'react';
+
+// In-app replacement for window.confirm, which blocks the tab and can't be styled or tested.
+// confirm(options) opens the question and resolves with true or false once it is answered;
+// options is the message, or { title, message, confirmLabel, danger }. Render the pending
+// `confirmRequest` (null when nothing is asked) with a dialog that calls settleConfirm(answer).
+export const useConfirm = () => {
+  const [confirmRequest, setConfirmRequest] = useState(null);
+  const resolveRef = useRef(null);
+
+  const confirm = useCallback((options) => new Promise(resolve => {
+    if (resolveRef.current) resolveRef.current(false); // A newer question dismisses one still open
+    resolveRef.current = resolve;
+    setConfirmRequest(typeof options === 'string' ? { message: options } : options);
+  }), []);
+
+  const settleConfirm = useCallback((confirmed) => {
+    const resolve = resolveRef.current;
+    resolveRef.current = null;
+    setConfirmRequest(null);
+    if (resolve) resolve(confirmed);
+  }, []);
+
+  return { confirm, confirmRequest, settleConfirm };
+};
@@ -0,0 +1,112 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { QuerySyntaxError, searchStoredSheets, loadSearchVocabulary, loadHitRows } from '../core/index.js';
+
+// Ranked search over the stored sheets as React state. The query runs `debounceMs` after it
+// (or anything it depends on) last changed; only the rows of the current page of `pageSize`
+// matches are loaded. `sheets`, `headerIndex` and `scope` are as for searchStoredSheets.
+// onBusyChange(busy) brackets each search; onError(error) reports failures other than an
+// invalid query, which is shown in searchStatus instead.
+export const useSheetSearch = (db, { query, sheets, headerIndex, scope, fuzzy, debounceMs, pageSize, onBusyChange, onError }) => {
+  const [searchHits, setSearchHits] = useState([]); // Every match, best first: [{ id, fileName, score, fuzzy }]
+  const [searchPage, setSearchPage] = useState(0);
+  const [searchResults, setSearchResults] = useState([]); // Rows of the current results page
+  const [searchStatus, setSearchStatus] = useState('');
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchFuzzyVariants, setSearchFuzzyVariants] = useState({}); // Variants used by the current results
+  const [searchHighlight, setSearchHighlight] = useState(null); // collectHighlightTerms() of the current results
+  const vocabularyRef = useRef(null); // Distinct indexed terms for fuzzy matching, loaded on first use
+  const searchRequestRef = useRef(0); // Id of the latest search; results of earlier ones are dropped
+  const runningSearchRef = useRef(null); // Id of the search that holds the busy state
+
+  // Imports and deletions change the indexed terms.
+  useEffect(() => { vocabularyRef.current = null; }, [sheets]);
+
+  const performSearch = useCallback(async (text) => {
+    const requestId = ++searchRequestRef.current;
+    if (!db) {
+      setSearchStatus(text ? 'Database not ready. Search is unavailable.' : '');
+      return;
+    }
+    if (text.trim().length === 0) {
+      setSearchHits([]);
+      setSearchStatus('');
+      return;
+    }
+
+    runningSearchRef.current = requestId;
+    setIsSearching(true);
+    setSearchStatus('Searching...');
+    if (onBusyChange) onBusyChange(true);
+    const startTime = performance.now();
+
+    try {
+      if (fuzzy && !vocabularyRef.current) vocabularyRef.current = await loadSearchVocabulary(db);
+      const found = await searchStoredSheets(db, text, { sheets, headerIndex, scope, fuzzy, vocabulary: vocabularyRef.current });
+      if (requestId !== searchRequestRef.current) return;
+      if (!found) {
+        setSearchHits([]);
+        setSearchStatus('');
+        return;
+      }
+      const duration = (performance.now() - startTime).toFixed(1);
+      const fuzzyCount = found.hits.filter(hit => hit.fuzzy).length;
+      setSearchFuzzyVariants(found.fuzzyVariants);
+      setSearchHighlight(found.highlight);
+      setSearchHits(found.hits);
+      setSearchPage(0);
+      setSearchStatus(`Found ${found.hits.length.toLocaleString()} results${fuzzyCount > 0 ? ` (${fuzzyCount.toLocaleString()} fuzzy)` : ''} in ${duration} ms.`);
+    } catch (error) {
+      if (requestId !== searchRequestRef.current) return;
+      setSearchHits([]);
+      if (error instanceof QuerySyntaxError) {
+        setSearchStatus(`Invalid query: ${error.message}`); // Shown under the search box, not as a toast
+        return;
+      }
+      setSearchStatus('Search error.');
+      if (onError) onError(error);
+    } finally {
+      // A newer search that is still running ends the busy state itself.
+      if (runningSearchRef.current === requestId) {
+        runningSearchRef.current = null;
+        setIsSearching(false);
+        if (onBusyChange) onBusyChange(false);
+      }
+    }
+  }, [db, sheets, headerIndex, scope, fuzzy, onBusyChange, onError]);
+
+  useEffect(() => {
+    const handler = setTimeout(() => performSearch(query), debounceMs);
+    return () => clearTimeout(handler);
+  }, [query, performSearch, debounceMs]);
+
+  // Only the current page of ranked matches is loaded from the database.
+  useEffect(() => {
+    const pageHits = searchHits.slice(searchPage * pageSize, (searchPage + 1) * pageSize);
+    if (!db || pageHits.length === 0) {
+      setSearchResults([]);
+      return;
+    }
+    let cancelled = false;
+    loadHitRows(db, pageHits)
+      .then(rows => { if (!cancelled) setSearchResults(rows); })
+      .catch(error => { if (!cancelled && onError) onError(error); });
+    return () => { cancelled = true; };
+  }, [db, searchHits, searchPage, pageSize, onError]);
+
+  // Call when the query is edited: the status shows it is pending, and emptying it clears the
+  // results at once instead of after the debounce.
+  const noteQueryChange = useCallback((text) => {
+    searchRequestRef.current++; // A search still running is for an earlier query
+    if (text) {
+      setSearchStatus('Typing...');
+      return;
+    }
+    setSearchStatus('');
+    setSearchHits([]);
+  }, []);
+
+  return {
+    searchHits, searchPage, setSearchPage, searchResults, searchStatus, isSearching,
+    searchFuzzyVariants, searchHighlight, performSearch, noteQueryChange
+  };
+};
@@ -0,0 +1,51 @@
+import { useState, useCallback } from 'react';
+import { listStoredSheets, updateSheetSettings } from '../core/index.js';
+
+// The stored sheets of a database (see listStoredSheets), reloaded on demand. Column settings
+// and sheet names/tags are also kept in their own maps, which the save functions update
+// optimistically, so saving them doesn't change `storedFiles` (and re-run searches over it).
+// reload() and the save functions reject when the database call fails.
+export const useStoredSheets = (db) => {
+  const [storedFiles, setStoredFiles] = useState([]);
+  const [isLoadingFiles, setIsLoadingFiles] = useState(true);
+  const [columnPrefsByFile, setColumnPrefsByFile] = useState({});
+  const [sheetDetailsByFile, setSheetDetailsByFile] = useState({}); // { [fileName]: { displayName, tags } }
+  const [storageEstimate, setStorageEstimate] = useState(null); // navigator.storage.estimate() after the last reload
+
+  const reload = useCallback(async () => {
+    if (!db) return;
+    setIsLoadingFiles(true);
+    try {
+      const sheets = await listStoredSheets(db);
+      setStoredFiles(sheets);
+      setColumnPrefsByFile(sheets.reduce((acc, sheet) => {
+        if (sheet.columnPrefs) acc[sheet.name] = sheet.columnPrefs;
+        return acc;
+      }, {}));
+      setSheetDetailsByFile(sheets.reduce((acc, sheet) => {
+        acc[sheet.name] = { displayName: sheet.displayName, tags: sheet.tags };
+        return acc;
+      }, {}));
+      if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+        navigator.storage.estimate().then(setStorageEstimate).catch(() => setStorageEstimate(null));
+      }
+    } finally {
+      setIsLoadingFiles(false);
+    }
+  }, [db]);
+
+  const saveColumnPrefs = useCallback(async (fileIdentifier, columnPrefs) => {
+    setColumnPrefsByFile(prev => ({ ...prev, [fileIdentifier]: columnPrefs }));
+    if (db) await updateSheetSettings(db, fileIdentifier, { columnPrefs });
+  }, [db]);
+
+  const saveSheetDetails = useCallback(async (fileIdentifier, details) => {
+    setSheetDetailsByFile(prev => ({ ...prev, [fileIdentifier]: details }));
+    if (db) await updateSheetSettings(db, fileIdentifier, details);
+  }, [db]);
+
+  return {
+    storedFiles, isLoadingFiles, setIsLoadingFiles, columnPrefsByFile, sheetDetailsByFile, storageEstimate,
+    reload, saveColumnPrefs, saveSheetDetails
+  };
+};
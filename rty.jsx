@@ -1,41 +1,189 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-// Dexie and XLSX will be accessed from window object
-import { FileSpreadsheet, Search, Trash2, UploadCloud, AlertCircle, CheckCircle, Info, XCircle, Loader2 } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import Dexie from 'dexie';
+import * as XLSX from 'xlsx';
+import { FileSpreadsheet, Search, Trash2, UploadCloud, AlertCircle, CheckCircle, Info, XCircle, Loader2, ArrowUp, ArrowDown, ChevronUp, ChevronDown, SlidersHorizontal, List, Table, Download, Pencil, Bookmark, BarChart3 } from 'lucide-react';
+import {
+  DEFAULT_VERSION_RETENTION, IMPORT_JOBS_STORE_NAME, TEXT_ENCODINGS, TEXT_PREVIEW_ROWS, TEXT_SAMPLE_BYTES, DELIMITER_OPTIONS,
+  IMPORT_KIND_BY_EXTENSION, EXPORT_FORMATS, MERGE_PREVIEW_LIMIT, JOIN_ROW_LIMIT, PIVOT_AGGREGATES,
+  openDatabase, sheetRowsCollection, deleteStoredSheets,
+  IMPORT_JOB_WRITING, IMPORT_JOB_FINALIZING, finalizeImportJob, rollbackImportJob, importParsedSheets,
+  restoreSheetVersion, pruneSheetVersions, computeSheetDiff, joinSheets, profileSheetColumns, buildPivot,
+  getCellRecord, describeCellRecord, sortRows, nextSort, getOrderedColumns, getVisibleColumns,
+  buildExportBlob, toExportFileName, createBackupBlob, validateBackup, restoreBackup,
+  QuerySyntaxError, parseSearchQuery, parseColumnFilter, matchesTerm, matchesQuery,
+  indexSheetHeaders, resolveSearchScope, describeFuzzyMatches, findHighlightRanges, loadHitRows,
+  getFileExtension, getImportKind, parseDelimitedText, detectTextEncoding, decodeTextSample, detectDelimiter,
+  createParseWorker
+} from './core/index.js';
+import { useStoredSheets } from './hooks/useStoredSheets.js';
+import { useConfirm } from './hooks/useConfirm.js';
+import { useSheetSearch } from './hooks/useSheetSearch.js';
 
 // --- Constants ---
-const DB_NAME = 'ReactExcelDataDB_V2';
-const STORE_NAME = 'excelDataStoreV2';
-const METADATA_STORE_NAME = 'fileMetadataV2';
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+const DEFAULT_MAX_FILE_SIZE_MB = 200;
+const MAX_FILE_SIZE_SETTING_KEY = 'reactExcelViewer.maxFileSizeMb';
+const VERSION_RETENTION_SETTING_KEY = 'reactExcelViewer.versionRetention';
+const STORAGE_OVERHEAD_FACTOR = 6; // Rough IndexedDB bytes per byte of (compressed) source file
 const SEARCH_DEBOUNCE_MS = 300;
-const MAX_SEARCH_RESULTS = 200;
+const FILTER_DEBOUNCE_MS = 300; // Column filters in the sheet viewer and the join view's search
+const SEARCH_PAGE_SIZE = 200; // Ranked matches loaded and rendered per results page
+const RESULTS_VIEW_SETTING_KEY = 'reactExcelViewer.resultsView';
+const FUZZY_SEARCH_SETTING_KEY = 'reactExcelViewer.fuzzySearch';
+const MATCHED_COLUMNS_SETTING_KEY = 'reactExcelViewer.matchedColumnsOnly';
+const SEARCH_SCOPE_SETTING_KEY = 'reactExcelViewer.searchScope'; // { sheets: [fileName::sheetName], columns: [header] }
+const SAVED_SEARCHES_SETTING_KEY = 'reactExcelViewer.savedSearches';
+const RECENT_SEARCHES_SETTING_KEY = 'reactExcelViewer.recentSearches';
+const MAX_RECENT_SEARCHES = 10;
+const MAX_HEADER_ROWS = 5; // Most rows that can be combined into one header
 
 // --- Dexie Database Setup ---
-// Declare dbInstance globally, initialized to null.
+// The schema and its migrations live in core/schema.js; the app keeps one instance.
 let dbInstance = null;
+let migrationListener = null; // Shows migration progress (the footer status) while upgrades run
 
-// Function to get or initialize the Dexie DB instance
+const setMigrationListener = (listener) => {
+  migrationListener = listener;
+};
+
+// Function to get or initialize the Dexie DB instance. Dexie opens it lazily, on first use.
 const getDb = () => {
-  // Initialize only if not already initialized AND window.Dexie is available
-  if (!dbInstance && window.Dexie) {
-    console.log("Initializing Dexie DB instance...");
-    dbInstance = new window.Dexie(DB_NAME);
-    dbInstance.version(3).stores({
-      [STORE_NAME]: '++id, fileName, *_searchableTokens', // Index filename and searchable tokens (multiEntry)
-      [METADATA_STORE_NAME]: 'fileName, headers' // Store metadata like headers
-    }).upgrade(tx => {
-      // This upgrade function will only run if the DB is new or the version is an upgrade.
-      console.log("Dexie schema version 3 (React) applied/upgraded.");
+  if (!dbInstance) {
+    dbInstance = openDatabase(Dexie, {
+      onMigrationProgress: message => { if (migrationListener) migrationListener(message); }
     });
-    console.log("Dexie DB instance initialized and schema configured.");
-  } else if (!window.Dexie && !dbInstance) {
-    // Log an error if Dexie is not on window when an attempt to initialize is made
-    console.error("Dexie.js not found on window object. DB features will be unavailable.");
   }
   return dbInstance;
 };
 
 
+// --- Settings ---
+const loadMaxFileSizeMb = () => {
+  const stored = Number(window.localStorage.getItem(MAX_FILE_SIZE_SETTING_KEY));
+  return stored > 0 ? stored : DEFAULT_MAX_FILE_SIZE_MB;
+};
+
+const loadVersionRetention = () => {
+  const stored = Number(window.localStorage.getItem(VERSION_RETENTION_SETTING_KEY));
+  return stored >= 1 ? Math.floor(stored) : DEFAULT_VERSION_RETENTION;
+};
+
+// Sheets or columns that no longer exist are kept in the setting and simply ignored.
+const loadSearchScope = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SEARCH_SCOPE_SETTING_KEY));
+    return {
+      sheets: Array.isArray(stored && stored.sheets) ? stored.sheets : [],
+      columns: Array.isArray(stored && stored.columns) ? stored.columns : []
+    };
+  } catch (error) {
+    return { sheets: [], columns: [] };
+  }
+};
+
+// Saved and recent searches are lists of { query, fuzzy, scope } (saved ones also have a name).
+const loadSearchList = (key) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(key));
+    return Array.isArray(stored) ? stored.filter(search => search && typeof search.query === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const isSameSearch = (a, b) => a.query === b.query && Boolean(a.fuzzy) === Boolean(b.fuzzy) &&
+  JSON.stringify(a.scope || {}) === JSON.stringify(b.scope || {});
+
+// The current search is mirrored in the URL hash, e.g. #q=status%3Aopen&fuzzy=1&sheet=a.xlsx%3A%3AQ1&column=Name,
+// so a link or bookmark reopens it. Returns null when the hash holds no search.
+const readSearchHash = () => {
+  const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+  if (!params.has('q')) return null;
+  return { query: params.get('q'), fuzzy: params.get('fuzzy') === '1', scope: { sheets: params.getAll('sheet'), columns: params.getAll('column') } };
+};
+
+const writeSearchHash = ({ query, fuzzy, scope }) => {
+  const params = new URLSearchParams();
+  if (query) {
+    params.set('q', query);
+    if (fuzzy) params.set('fuzzy', '1');
+    scope.sheets.forEach(sheet => params.append('sheet', sheet));
+    scope.columns.forEach(column => params.append('column', column));
+  }
+  const hash = params.toString();
+  if (window.location.hash.replace(/^#/, '') === hash) return;
+  // replaceState keeps typing out of the back-button history and doesn't fire hashchange.
+  window.history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+// Rough check that an import will fit in the origin's remaining quota.
+// Returns ok: true when the browser cannot tell us.
+const checkStorageQuota = async (fileSize) => {
+  if (!navigator.storage || !navigator.storage.estimate) return { ok: true };
+  const { quota = 0, usage = 0 } = await navigator.storage.estimate();
+  const needed = fileSize * STORAGE_OVERHEAD_FACTOR;
+  const available = Math.max(quota - usage, 0);
+  return { ok: quota === 0 || needed <= available, needed, available };
+};
+
+
+// --- Downloads ---
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Builds the export file (see buildExportBlob) and downloads it as `<fileBaseName>.<format>`.
+const exportRowGroups = (groups, format, fileBaseName) => {
+  downloadBlob(buildExportBlob(groups, format, { XLSX }), `${fileBaseName}.${format}`);
+};
+
+
+// --- Offline Support ---
+// sw.js (emitted by the production build) precaches the app so it runs without a network, and
+// receives files shared to the installed app (the manifest's share_target): it keeps them in
+// SHARED_FILES_CACHE and reopens the app with SHARED_FILES_PARAM in the URL. Both names must match sw.js.
+const SHARED_FILES_CACHE = 'excel-viewer-shared-files';
+const SHARED_FILES_PARAM = 'shared-files';
+
+// Only production builds have a service worker; the dev server serves modules fresh.
+const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('./sw.js').catch(error => {
+    console.error("Service worker registration failed; the app will not work offline:", error);
+  });
+};
+
+// Takes the shared files out of the cache, as File objects in the order they were shared.
+const takeSharedFiles = async () => {
+  const cache = await caches.open(SHARED_FILES_CACHE);
+  const files = [];
+  for (const request of await cache.keys()) {
+    const response = await cache.match(request);
+    if (response) {
+      const blob = await response.blob();
+      files.push(new File([blob], decodeURIComponent(response.headers.get('X-File-Name') || 'shared-file'), {
+        type: blob.type,
+        lastModified: Number(response.headers.get('X-Last-Modified')) || Date.now()
+      }));
+    }
+    await cache.delete(request);
+  }
+  return files;
+};
+
 // --- Helper Components ---
 
 // Icon Component
@@ -90,340 +238,2750 @@ const ProgressBarComponent = ({ value, label, visible }) => {
   );
 };
 
-// --- Main Application Component ---
-function App() {
-  // --- State Variables ---
-  const [searchTerm, setSearchTerm] = useState('');
-  const [searchResults, setSearchResults] = useState([]);
-  const [searchStatus, setSearchStatus] = useState('');
-  const [isSearching, setIsSearching] = useState(false);
+// VirtualizedTable Component
+// Renders only the rows scrolled into view (plus a small overscan), so groups with
+// hundreds of thousands of rows stay responsive. Header cells stick to the top while
+// scrolling; clicking one asks the parent to change the sort. Optional extras: a leading
+// row-number column (getRowNumber) and a second header row of per-column filters (renderFilter).
+const GRID_ROW_HEIGHT = 32;
+const GRID_COLUMN_WIDTH = 160;
+const GRID_ROW_NUMBER_WIDTH = 72;
+const GRID_OVERSCAN_ROWS = 10;
+
+const VirtualizedTable = ({ columns, rows, sort, onSort, maxHeight = 400, getRowNumber, renderFilter }) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const viewportRows = Math.ceil(maxHeight / GRID_ROW_HEIGHT);
+  const firstRow = Math.max(0, Math.floor(scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN_ROWS);
+  const lastRow = Math.min(rows.length, firstRow + viewportRows + GRID_OVERSCAN_ROWS * 2);
+  const tableWidth = columns.length * GRID_COLUMN_WIDTH + (getRowNumber ? GRID_ROW_NUMBER_WIDTH : 0);
+
+  return (
+    <div
+      className="overflow-auto border border-gray-200 rounded-md"
+      style={{ maxHeight, WebkitOverflowScrolling: 'touch' }}
+      onScroll={event => setScrollTop(event.currentTarget.scrollTop)}
+    >
+      <table className="grid-table-react" style={{ width: tableWidth }}>
+        <colgroup>
+          {getRowNumber && <col style={{ width: GRID_ROW_NUMBER_WIDTH }} />}
+          {columns.map(column => <col key={column} style={{ width: GRID_COLUMN_WIDTH }} />)}
+        </colgroup>
+        <thead>
+          <tr>
+            {getRowNumber && <th className="grid-rownum-react">#</th>}
+            {columns.map(column => (
+              <th
+                key={column} onClick={() => onSort && onSort(column)}
+                title={onSort ? `${column || '(blank)'}: click to sort` : column}
+                className={onSort ? 'cursor-pointer select-none hover:bg-emerald-100' : ''}
+              >
+                {column || <span className="italic text-gray-400">(blank)</span>}
+                {sort && sort.column === column && (
+                  <Icon icon={sort.direction === 'asc' ? ArrowUp : ArrowDown} size={12} className="inline ml-1" />
+                )}
+              </th>
+            ))}
+          </tr>
+          {renderFilter && (
+            <tr className="grid-filter-row-react">
+              {getRowNumber && <th className="grid-rownum-react" />}
+              {columns.map(column => <th key={column}>{renderFilter(column)}</th>)}
+            </tr>
+          )}
+        </thead>
+        <tbody>
+          {firstRow > 0 && <tr style={{ height: firstRow * GRID_ROW_HEIGHT }} />}
+          {rows.slice(firstRow, lastRow).map((row, index) => (
+            <tr key={row.id || firstRow + index} style={{ height: GRID_ROW_HEIGHT }}>
+              {getRowNumber && <td className="grid-rownum-react">{getRowNumber(row, firstRow + index)}</td>}
+              {columns.map(column => (
+                <td key={column} title={describeCellRecord(getCellRecord(row, column)) || String(row[column] || '')}>
+                  {String(row[column] || '')}
+                </td>
+              ))}
+            </tr>
+          ))}
+          {lastRow < rows.length && <tr style={{ height: (rows.length - lastRow) * GRID_ROW_HEIGHT }} />}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// ExportMenu Component
+// Dropdown listing the export formats; picking one calls onExport with its id.
+const ExportMenu = ({ onExport, formats = EXPORT_FORMATS, disabled = false, label = 'Export' }) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="relative inline-block flex-shrink-0">
+      <button
+        onClick={() => setOpen(prev => !prev)} disabled={disabled}
+        className="flex items-center text-xs px-2 py-1 rounded-md border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Icon icon={Download} size={14} className="mr-1" />
+        {label}
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full mt-1 w-36 bg-white border border-gray-200 rounded-md shadow-lg z-30 py-1">
+          {formats.map(format => (
+            <button
+              key={format.id}
+              onClick={() => { setOpen(false); onExport(format.id); }}
+              className="block w-full text-left px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ColumnChooser Component
+// Show/hide and reorder a sheet's columns. Changes are reported as a full columnPrefs object.
+const ColumnChooser = ({ headers, prefs, onChange, onClose }) => {
+  const ordered = getOrderedColumns(headers, prefs);
+  const hidden = new Set((prefs && prefs.hiddenColumns) || []);
+
+  const emit = (columnOrder, hiddenSet) => onChange({ columnOrder, hiddenColumns: columnOrder.filter(header => hiddenSet.has(header)) });
+  const toggle = (header) => {
+    const nextHidden = new Set(hidden);
+    if (nextHidden.has(header)) nextHidden.delete(header);
+    else nextHidden.add(header);
+    emit(ordered, nextHidden);
+  };
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= ordered.length) return;
+    const nextOrder = [...ordered];
+    [nextOrder[index], nextOrder[target]] = [nextOrder[target], nextOrder[index]];
+    emit(nextOrder, hidden);
+  };
+
+  return (
+    <div className="absolute right-0 top-full mt-1 w-64 bg-white border border-gray-200 rounded-md shadow-lg z-30">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-100">
+        <span className="text-sm font-semibold text-gray-700">Columns</span>
+        <span className="flex gap-2 text-xs">
+          <button onClick={() => onChange({ columnOrder: [], hiddenColumns: [] })} className="text-emerald-700 hover:underline">Reset</button>
+          <button onClick={onClose} className="text-gray-500 hover:underline">Close</button>
+        </span>
+      </div>
+      <div className="max-h-64 overflow-y-auto py-1">
+        {ordered.map((header, index) => (
+          <div key={header} className="flex items-center px-3 py-1 text-sm hover:bg-gray-50">
+            <label className="flex items-center flex-grow min-w-0 cursor-pointer">
+              <input type="checkbox" className="mr-2 accent-emerald-600" checked={!hidden.has(header)} onChange={() => toggle(header)} />
+              <span className="truncate" title={header}>{header || '(blank)'}</span>
+            </label>
+            <button onClick={() => move(index, -1)} disabled={index === 0} className="p-0.5 text-gray-500 hover:text-emerald-700 disabled:opacity-30" title="Move up">
+              <Icon icon={ChevronUp} size={14} />
+            </button>
+            <button onClick={() => move(index, 1)} disabled={index === ordered.length - 1} className="p-0.5 text-gray-500 hover:text-emerald-700 disabled:opacity-30" title="Move down">
+              <Icon icon={ChevronDown} size={14} />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// ResultsGrid Component
+// Grid view of one file/sheet group of search results, with its own sort and column chooser.
+// Unsorted, it shows the group's rows on the current results page. A sort covers every match of
+// the group: loadAllRows(fileIdentifier) loads them all, and the sorted grid replaces the page.
+const ResultsGrid = ({ fileIdentifier, displayName, rows, headers, matchCount, columnPrefs, onSaveColumnPrefs, onExport, loadAllRows }) => {
+  const [sort, setSort] = useState(null);
+  const [allRows, setAllRows] = useState(null); // Every match of the group, loaded while a sort is set
+  const [chooserOpen, setChooserOpen] = useState(false);
+  const columns = useMemo(() => getVisibleColumns(headers, columnPrefs), [headers, columnPrefs]);
+  const isSorted = !!sort;
+  const pageOnly = matchCount <= rows.length;
+
+  useEffect(() => {
+    setAllRows(null);
+    if (!isSorted || pageOnly) return;
+    let cancelled = false;
+    loadAllRows(fileIdentifier)
+      .then(loaded => { if (!cancelled) setAllRows(loaded); })
+      .catch(error => console.error(`Error loading matches from ${fileIdentifier}:`, error));
+    return () => { cancelled = true; };
+  }, [isSorted, pageOnly, fileIdentifier, loadAllRows]);
+
+  // Until every match has loaded, the page's rows are shown unsorted.
+  const sortedRows = useMemo(() => {
+    if (!sort) return rows;
+    if (pageOnly) return sortRows(rows, sort);
+    return allRows ? sortRows(allRows, sort) : rows;
+  }, [rows, allRows, sort, pageOnly]);
+  let rowsNote = '';
+  if (sort && !pageOnly) rowsNote = allRows ? ', all sorted' : ', sorting all...';
+  else if (!pageOnly) rowsNote = `, ${rows.length.toLocaleString()} on this page`;
+
+  return (
+    <div className="mb-5">
+      <div className="flex items-center justify-between mb-1.5 relative">
+        <h3 className="text-sm font-semibold text-gray-700 truncate" title={fileIdentifier}>
+          {displayName || fileIdentifier.split('::')[0]} <span className="text-xs font-normal text-gray-500">({fileIdentifier.split('::')[1]}) · {matchCount.toLocaleString()} matches{rowsNote}</span>
+        </h3>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <ExportMenu onExport={format => onExport(fileIdentifier, sort, format)} />
+          <button
+            onClick={() => setChooserOpen(open => !open)}
+            className="flex items-center text-xs px-2 py-1 rounded-md border border-gray-300 text-gray-600 hover:bg-gray-50"
+          >
+            <Icon icon={SlidersHorizontal} size={14} className="mr-1" />
+            Columns ({columns.length}/{headers.length})
+          </button>
+        </div>
+        {chooserOpen && (
+          <ColumnChooser
+            headers={headers} prefs={columnPrefs}
+            onChange={prefs => onSaveColumnPrefs(fileIdentifier, prefs)}
+            onClose={() => setChooserOpen(false)}
+          />
+        )}
+      </div>
+      <VirtualizedTable columns={columns} rows={sortedRows} sort={sort} onSort={column => setSort(prev => nextSort(prev, column))} />
+    </div>
+  );
+};
+
+// HighlightedText Component
+// Renders text with the given [start, end) ranges marked.
+const HighlightedText = ({ text, ranges }) => {
+  if (!ranges || ranges.length === 0) return text;
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(<span key={`t${position}`}>{text.slice(position, start)}</span>);
+    parts.push(<mark key={`m${start}`} className="bg-yellow-200 text-gray-900 rounded-sm">{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < text.length) parts.push(<span key={`t${position}`}>{text.slice(position)}</span>);
+  return parts;
+};
+
+// ResultCard Component
+// One search result in card view: `header: value` cells with the query's matches highlighted.
+// With matchedOnly, only cells containing a highlight are shown until the card is expanded.
+const ResultCard = ({ row, fileIdentifier, columns, highlight, matchedOnly, fuzzyMatches }) => {
+  const [expanded, setExpanded] = useState(false);
+  const cells = columns.map(header => {
+    const text = String(row[header] || '');
+    return { header, text, ranges: highlight ? findHighlightRanges(text, header, highlight) : [] };
+  });
+  const matchedCells = cells.filter(cell => cell.ranges.length > 0);
+  const collapsed = matchedOnly && !expanded && matchedCells.length > 0 && matchedCells.length < cells.length;
+  const shownCells = collapsed ? matchedCells : cells;
+  return (
+    <div className="result-row-react">
+      {shownCells.map(({ header, text, ranges }) => (
+        <div key={header} className="result-cell-react">
+          <strong className="text-emerald-700 mr-1.5 font-semibold">{header}:</strong>
+          <span title={describeCellRecord(getCellRecord(row, header))}><HighlightedText text={text} ranges={ranges} /></span>
+        </div>
+      ))}
+      {fuzzyMatches && (
+        <div className="result-cell-react text-xs text-amber-700" style={{flexBasis: '100%', backgroundColor: '#fffbeb'}}>
+          Fuzzy match: {fuzzyMatches.map(match => `"${match.queryTerm}" ≈ "${match.term}" in ${match.header}`).join('; ')}
+        </div>
+      )}
+      <div className="result-cell-react text-xs text-gray-400 italic flex justify-between" style={{minWidth: 'fit-content', flexBasis: '100%', marginTop: '0.25rem', backgroundColor: 'transparent', boxShadow: 'none'}}>
+        <span>
+          {matchedOnly && matchedCells.length > 0 && matchedCells.length < cells.length && (
+            <button onClick={() => setExpanded(open => !open)} className="not-italic text-emerald-700 hover:underline">
+              {expanded ? 'Show matched columns only' : `Show all ${cells.length} columns (${cells.length - matchedCells.length} hidden)`}
+            </button>
+          )}
+        </span>
+        <span>({fileIdentifier.split('::')[0]} - {fileIdentifier.split('::')[1]})</span>
+      </div>
+    </div>
+  );
+};
+
+// SheetSummary Component
+// Column profiles and a pivot builder for one stored sheet's live version.
+const formatStatistic = value => typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: 4 }) : value;
+
+const SheetSummary = ({ file, onExport, onClose }) => {
+  const headers = useMemo(() => file.headers || [], [file.headers]);
+  const [tab, setTab] = useState('profiles');
+  const [profiles, setProfiles] = useState(null);
+  const [profileError, setProfileError] = useState('');
+  const [pivotConfig, setPivotConfig] = useState({ rowField: headers[0] || '', columnField: '', valueField: '', aggregate: 'count' });
+  const [pivot, setPivot] = useState(null);
+  const [pivotError, setPivotError] = useState('');
+  const [isBuilding, setIsBuilding] = useState(false);
+  const [pivotSort, setPivotSort] = useState(null);
+
+  useEffect(() => {
+    const currentDb = getDb();
+    if (!currentDb) return undefined;
+    let cancelled = false;
+    profileSheetColumns(currentDb, file.importId, headers)
+      .then(result => { if (!cancelled) setProfiles(result); })
+      .catch(error => {
+        console.error("Error profiling sheet:", error);
+        if (!cancelled) setProfileError(`Could not profile this sheet: ${error.message}`);
+      });
+    return () => { cancelled = true; };
+  }, [file.importId, headers]);
+
+  const numericColumns = useMemo(() => (profiles || []).filter(profile => profile.numeric).map(profile => profile.header), [profiles]);
+  const needsValue = pivotConfig.aggregate !== 'count';
+  const canBuild = pivotConfig.rowField && (!needsValue || pivotConfig.valueField) && pivotConfig.rowField !== pivotConfig.columnField && !isBuilding;
+
+  const runPivot = async () => {
+    const currentDb = getDb();
+    if (!currentDb) return;
+    setIsBuilding(true);
+    setPivotError('');
+    try {
+      setPivot(await buildPivot(currentDb, file.importId, pivotConfig));
+      setPivotSort(null);
+    } catch (error) {
+      console.error("Error building pivot:", error);
+      setPivot(null);
+      setPivotError(error.message);
+    } finally {
+      setIsBuilding(false);
+    }
+  };
+  const updatePivotConfig = changes => setPivotConfig(prev => ({ ...prev, ...changes }));
+  const sortedPivotRows = useMemo(() => (pivot ? sortRows(pivot.rows, pivotSort) : []), [pivot, pivotSort]);
+  const tabClass = active => `px-3 py-1.5 text-sm border-b-2 ${active ? 'border-emerald-600 text-emerald-700 font-semibold' : 'border-transparent text-gray-600 hover:text-gray-800'}`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-40 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-6xl max-h-full flex flex-col">
+        <div className="px-5 py-3 border-b border-gray-200 flex items-center justify-between">
+          <div className="min-w-0">
+            <h3 className="text-lg font-semibold text-gray-800 truncate" title={file.name}>Summary: {file.label}</h3>
+            <p className="text-xs text-gray-500">{file.rowCount.toLocaleString()} rows · {headers.length} columns</p>
+          </div>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-800" title="Close">
+            <Icon icon={XCircle} size={20} />
+          </button>
+        </div>
+        <div className="px-5 border-b border-gray-200 flex gap-2">
+          <button onClick={() => setTab('profiles')} className={tabClass(tab === 'profiles')}>Column profiles</button>
+          <button onClick={() => setTab('pivot')} className={tabClass(tab === 'pivot')}>Pivot</button>
+        </div>
+        <div className="px-5 py-3 overflow-y-auto min-h-0">
+          {tab === 'profiles' && (
+            <>
+              {profileError && <p className="text-sm text-red-600">{profileError}</p>}
+              {!profiles && !profileError && (
+                <p className="text-sm text-gray-500 flex items-center"><Loader2 className="animate-spin h-4 w-4 mr-1.5" /> Profiling columns...</p>
+              )}
+              {profiles && (
+                <table className="min-w-full text-xs">
+                  <thead className="bg-gray-50 text-gray-500 text-left">
+                    <tr>
+                      {['Column', 'Filled', 'Empty', 'Distinct', 'Min', 'Max', 'Sum', 'Mean', 'Top values'].map(label => (
+                        <th key={label} className={`px-2 py-2 ${label === 'Column' || label === 'Top values' ? '' : 'text-right'}`}>{label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {profiles.map(profile => (
+                      <tr key={profile.header} className="border-t border-gray-100 align-top">
+                        <td className="px-2 py-1.5 font-medium text-gray-700 max-w-[12rem] truncate" title={profile.header}>{profile.header || '(blank)'}</td>
+                        <td className="px-2 py-1.5 text-right">{profile.filled.toLocaleString()}</td>
+                        <td className="px-2 py-1.5 text-right">{profile.empty.toLocaleString()}</td>
+                        <td className="px-2 py-1.5 text-right">{profile.distinct.toLocaleString()}{profile.distinctCapped ? '+' : ''}</td>
+                        {['min', 'max', 'sum', 'mean'].map(key => (
+                          <td key={key} className="px-2 py-1.5 text-right text-gray-600">{profile.numeric ? formatStatistic(profile.numeric[key]) : ''}</td>
+                        ))}
+                        <td className="px-2 py-1.5 text-gray-600">
+                          {profile.topValues.map(entry => (
+                            <span key={entry.value} className="inline-block mr-2 max-w-[10rem] truncate align-top" title={entry.value}>
+                              {entry.value} <span className="text-gray-400">×{entry.count.toLocaleString()}</span>
+                            </span>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+          {tab === 'pivot' && (
+            <>
+              <div className="flex flex-wrap items-end gap-3 text-sm mb-3">
+                <label className="flex flex-col text-xs text-gray-500">
+                  Rows
+                  <select value={pivotConfig.rowField} onChange={(e) => updatePivotConfig({ rowField: e.target.value })} className="mt-0.5 px-2 py-1 text-sm border border-gray-300 rounded-md text-gray-800">
+                    {headers.map(header => <option key={header} value={header}>{header || '(blank)'}</option>)}
+                  </select>
+                </label>
+                <label className="flex flex-col text-xs text-gray-500">
+                  Columns (optional)
+                  <select value={pivotConfig.columnField} onChange={(e) => updatePivotConfig({ columnField: e.target.value })} className="mt-0.5 px-2 py-1 text-sm border border-gray-300 rounded-md text-gray-800">
+                    <option value="">None</option>
+                    {headers.filter(header => header !== pivotConfig.rowField).map(header => <option key={header} value={header}>{header || '(blank)'}</option>)}
+                  </select>
+                </label>
+                <label className="flex flex-col text-xs text-gray-500">
+                  Value
+                  <select value={pivotConfig.aggregate} onChange={(e) => updatePivotConfig({ aggregate: e.target.value })} className="mt-0.5 px-2 py-1 text-sm border border-gray-300 rounded-md text-gray-800">
+                    {PIVOT_AGGREGATES.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                  </select>
+                </label>
+                {needsValue && (
+                  <label className="flex flex-col text-xs text-gray-500">
+                    of
+                    <select value={pivotConfig.valueField} onChange={(e) => updatePivotConfig({ valueField: e.target.value })} className="mt-0.5 px-2 py-1 text-sm border border-gray-300 rounded-md text-gray-800">
+                      <option value="">Choose a numeric column...</option>
+                      {numericColumns.map(header => <option key={header} value={header}>{header || '(blank)'}</option>)}
+                    </select>
+                  </label>
+                )}
+                <button
+                  onClick={runPivot} disabled={!canBuild}
+                  className="flex items-center px-4 py-1.5 text-sm rounded-md bg-emerald-600 text-white font-semibold hover:bg-emerald-700 disabled:opacity-50"
+                >
+                  {isBuilding && <Loader2 className="animate-spin h-4 w-4 mr-1.5" />}
+                  Build
+                </button>
+                {pivot && (
+                  <ExportMenu onExport={format => onExport([{ label: 'Pivot', headers: pivot.headers, rows: sortedPivotRows }], format, `${toExportFileName(file.name)}_pivot`)} />
+                )}
+              </div>
+              {pivotError && <p className="text-sm text-red-600 mb-2">{pivotError}</p>}
+              {pivot && (
+                <>
+                  <p className="text-xs text-gray-500 mb-1">{pivot.rows.length.toLocaleString()} groups · {pivot.aggregateLabel}</p>
+                  <VirtualizedTable columns={pivot.headers} rows={sortedPivotRows} sort={pivotSort} onSort={column => setPivotSort(prev => nextSort(prev, column))} maxHeight={400} />
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// JoinView Component
+// Pick two stored sheets and a key column in each, join them, then search, sort and export
+// the combined rows. Keys present on only one side are listed in a report below the grid.
+const JOIN_REPORT_LIMIT = 100; // Unmatched keys listed per side
+
+const JoinSidePicker = ({ label, files, side, onChange }) => {
+  const file = files.find(candidate => candidate.name === side.fileIdentifier);
+  return (
+    <div className="flex-1 min-w-[14rem]">
+      <span className="block text-xs font-semibold text-gray-500 uppercase mb-1">{label}</span>
+      <select
+        value={side.fileIdentifier} onChange={(e) => onChange({ fileIdentifier: e.target.value, keyColumn: '' })}
+        className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+      >
+        <option value="">Choose a sheet...</option>
+        {files.map(candidate => <option key={candidate.name} value={candidate.name}>{candidate.label}</option>)}
+      </select>
+      <select
+        value={side.keyColumn} onChange={(e) => onChange({ ...side, keyColumn: e.target.value })} disabled={!file}
+        className="w-full mt-1 px-2 py-1 text-sm border border-gray-300 rounded-md"
+      >
+        <option value="">Key column...</option>
+        {file && (file.headers || []).map(header => <option key={header} value={header}>{header || '(blank)'}</option>)}
+      </select>
+    </div>
+  );
+};
+
+const UnmatchedKeyList = ({ title, keys }) => (
+  <div className="flex-1 min-w-[12rem]">
+    <p className="font-semibold text-gray-700 mb-1">{title}: {keys.length.toLocaleString()}</p>
+    <ul className="max-h-32 overflow-y-auto text-gray-600">
+      {keys.slice(0, JOIN_REPORT_LIMIT).map(entry => (
+        <li key={entry.key} className="truncate" title={entry.key}>{entry.key}{entry.count > 1 ? ` (${entry.count} rows)` : ''}</li>
+      ))}
+      {keys.length > JOIN_REPORT_LIMIT && <li className="italic">and {(keys.length - JOIN_REPORT_LIMIT).toLocaleString()} more</li>}
+    </ul>
+  </div>
+);
+
+const JoinView = ({ files, onExport, onClose }) => {
+  const [left, setLeft] = useState({ fileIdentifier: '', keyColumn: '' });
+  const [right, setRight] = useState({ fileIdentifier: '', keyColumn: '' });
+  const [joinType, setJoinType] = useState('inner');
+  const [result, setResult] = useState(null); // joinSheets() output plus the labels it was run with
+  const [isJoining, setIsJoining] = useState(false);
+  const [error, setError] = useState('');
+  const [queryInput, setQueryInput] = useState('');
+  const [query, setQuery] = useState(''); // Debounced copy of queryInput
+  const [sort, setSort] = useState(null);
+
+  useEffect(() => {
+    const handler = setTimeout(() => setQuery(queryInput), FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(handler);
+  }, [queryInput]);
+
+  const runJoin = async () => {
+    const currentDb = getDb();
+    const leftFile = files.find(file => file.name === left.fileIdentifier);
+    const rightFile = files.find(file => file.name === right.fileIdentifier);
+    if (!currentDb || !leftFile || !rightFile) return;
+    setIsJoining(true);
+    setError('');
+    try {
+      const joined = await joinSheets(currentDb, {
+        left: { ...left, importId: leftFile.importId, headers: leftFile.headers || [] },
+        right: { ...right, importId: rightFile.importId, headers: rightFile.headers || [] },
+        type: joinType
+      });
+      setResult({ ...joined, leftLabel: leftFile.label, rightLabel: rightFile.label, type: joinType });
+      setSort(null);
+    } catch (joinError) {
+      console.error("Error joining sheets:", joinError);
+      setError(`Join failed: ${joinError.message}`);
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  const { queryAst, queryError } = useMemo(() => {
+    try {
+      return { queryAst: parseSearchQuery(query), queryError: '' };
+    } catch (parseError) {
+      if (!(parseError instanceof QuerySyntaxError)) throw parseError;
+      return { queryAst: null, queryError: parseError.message };
+    }
+  }, [query]);
+  const resolveHeader = useMemo(() => {
+    const headersByName = {};
+    (result ? result.headers : []).forEach(header => { headersByName[header.toLowerCase()] = header; });
+    return (_, field) => headersByName[field.toLowerCase()];
+  }, [result]);
+  const shownRows = useMemo(() => {
+    if (!result) return [];
+    const matching = queryAst ? result.rows.filter(row => matchesQuery(queryAst, row, resolveHeader)) : result.rows;
+    return sortRows(matching, sort);
+  }, [result, queryAst, resolveHeader, sort]);
+
+  const canJoin = left.fileIdentifier && left.keyColumn && right.fileIdentifier && right.keyColumn && !isJoining;
+  const exportName = result ? toExportFileName(`${result.leftLabel}_join_${result.rightLabel}`) : 'join';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-40 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-6xl max-h-full flex flex-col">
+        <div className="px-5 py-3 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-800">Join sheets</h3>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-800" title="Close">
+            <Icon icon={XCircle} size={20} />
+          </button>
+        </div>
+        <div className="px-5 py-3 border-b border-gray-200 flex flex-wrap items-end gap-4">
+          <JoinSidePicker label="Rows from" files={files} side={left} onChange={setLeft} />
+          <JoinSidePicker label="Matched with" files={files} side={right} onChange={setRight} />
+          <div className="text-sm text-gray-700">
+            <label className="flex items-center cursor-pointer" title="Only rows whose key is found in both sheets">
+              <input type="radio" name="joinType" className="mr-1.5 accent-emerald-600" checked={joinType === 'inner'} onChange={() => setJoinType('inner')} />
+              Inner join
+            </label>
+            <label className="flex items-center cursor-pointer" title="Every row of the first sheet, with blanks where the key has no match">
+              <input type="radio" name="joinType" className="mr-1.5 accent-emerald-600" checked={joinType === 'left'} onChange={() => setJoinType('left')} />
+              Left join
+            </label>
+          </div>
+          <button
+            onClick={runJoin} disabled={!canJoin}
+            className="flex items-center px-4 py-2 text-sm rounded-md bg-emerald-600 text-white font-semibold hover:bg-emerald-700 disabled:opacity-50"
+          >
+            {isJoining && <Loader2 className="animate-spin h-4 w-4 mr-1.5" />}
+            Join
+          </button>
+        </div>
+        {error && <p className="px-5 pt-2 text-sm text-red-600">{error}</p>}
+        {result && (
+          <div className="px-5 py-3 flex flex-col min-h-0 overflow-y-auto">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <p className="text-xs text-gray-500">
+                {result.type === 'left' ? 'Left' : 'Inner'} join of {result.leftLabel} with {result.rightLabel}:
+                {' '}{shownRows.length.toLocaleString()}{queryAst ? ` of ${result.rows.length.toLocaleString()}` : ''} rows
+                {result.truncated && <span className="text-amber-700"> (stopped at {JOIN_ROW_LIMIT.toLocaleString()} rows)</span>}
+                {queryError && <span className="text-red-500 ml-2">Ignoring invalid search: {queryError}</span>}
+              </p>
+              <div className="flex items-center gap-2">
+                <input
+                  type="text" value={queryInput} onChange={(e) => setQueryInput(e.target.value)}
+                  placeholder="Search joined rows..." title="Same syntax as the main search, e.g. status:open amount>500"
+                  className={`w-56 px-2 py-1 text-xs border rounded-md ${queryError ? 'border-red-400' : 'border-gray-300'}`}
+                />
+                <ExportMenu
+                  disabled={shownRows.length === 0}
+                  onExport={format => onExport([{ label: 'Join', headers: result.headers, rows: shownRows }], format, exportName)}
+                />
+              </div>
+            </div>
+            <VirtualizedTable columns={result.headers} rows={shownRows} sort={sort} onSort={column => setSort(prev => nextSort(prev, column))} maxHeight={400} />
+            <div className="mt-3 flex flex-wrap gap-4 text-xs">
+              <UnmatchedKeyList title={`Keys only in ${result.leftLabel}`} keys={result.unmatchedLeft} />
+              <UnmatchedKeyList title={`Keys only in ${result.rightLabel}`} keys={result.unmatchedRight} />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// SheetViewer Component
+// Browses every row of one stored sheet a page at a time, without needing a search.
+// Filters take plain text (contained anywhere in the cell) or a comparison such as ">500".
+const VIEWER_PAGE_SIZE = 1000;
+
+const SheetViewer = ({ fileIdentifier, displayName, headers, importId, versionLabel, columnPrefs, onSaveColumnPrefs, onClose }) => {
+  const [page, setPage] = useState(0);
+  const [rows, setRows] = useState([]);
+  const [totalRows, setTotalRows] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [filterInputs, setFilterInputs] = useState({});
+  const [filters, setFilters] = useState({}); // Debounced copy of filterInputs
+  const [queryInput, setQueryInput] = useState('');
+  const [query, setQuery] = useState(''); // Debounced copy of queryInput
+  const [chooserOpen, setChooserOpen] = useState(false);
+  const columns = useMemo(() => getVisibleColumns(headers, columnPrefs), [headers, columnPrefs]);
+
+  useEffect(() => {
+    const handler = setTimeout(() => {
+      setFilters(filterInputs);
+      setQuery(queryInput);
+      setPage(0);
+    }, FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(handler);
+  }, [filterInputs, queryInput]);
+
+  // The search box takes the same query language as the main search, limited to this sheet.
+  const { queryAst, queryError } = useMemo(() => {
+    try {
+      return { queryAst: parseSearchQuery(query), queryError: '' };
+    } catch (error) {
+      if (!(error instanceof QuerySyntaxError)) throw error;
+      return { queryAst: null, queryError: error.message };
+    }
+  }, [query]);
+  const resolveHeader = useMemo(() => {
+    const headersByName = {};
+    headers.forEach(header => { headersByName[header.toLowerCase()] = header; });
+    return (_, field) => headersByName[field.toLowerCase()];
+  }, [headers]);
+
+  // Invalid filters are flagged on their input and otherwise ignored.
+  const { filterTerms, invalidFilters } = useMemo(() => {
+    const terms = [];
+    const invalid = {};
+    Object.entries(filters).forEach(([header, text]) => {
+      if (!text.trim()) return;
+      try {
+        terms.push(parseColumnFilter(header, text));
+      } catch (error) {
+        if (!(error instanceof QuerySyntaxError)) throw error;
+        invalid[header] = error.message;
+      }
+    });
+    return { filterTerms: terms, invalidFilters: invalid };
+  }, [filters]);
+
+  const getCollection = useCallback(() => {
+    const currentDb = getDb();
+    if (!currentDb) return null;
+    const collection = sheetRowsCollection(currentDb, importId);
+    if (filterTerms.length === 0 && !queryAst) return collection;
+    return collection.filter(row => filterTerms.every(term => matchesTerm(term, row, (_, field) => field)) &&
+      (!queryAst || matchesQuery(queryAst, row, resolveHeader)));
+  }, [importId, filterTerms, queryAst, resolveHeader]);
+
+  // The count needs a full pass when filtering, so it only reruns when the filters change.
+  useEffect(() => {
+    let cancelled = false;
+    const collection = getCollection();
+    if (!collection) return undefined;
+    setTotalRows(null);
+    collection.count()
+      .then(count => { if (!cancelled) setTotalRows(count); })
+      .catch(error => {
+        console.error("Error counting sheet rows:", error);
+        if (!cancelled) setLoadError('Failed to count rows.');
+      });
+    return () => { cancelled = true; };
+  }, [getCollection]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const collection = getCollection();
+    if (!collection) {
+      setLoadError('Database not available.');
+      setIsLoading(false);
+      return undefined;
+    }
+    setIsLoading(true);
+    collection.offset(page * VIEWER_PAGE_SIZE).limit(VIEWER_PAGE_SIZE).toArray()
+      .then(pageRows => {
+        if (cancelled) return;
+        setRows(pageRows);
+        setLoadError('');
+      })
+      .catch(error => {
+        console.error("Error loading sheet rows:", error);
+        if (!cancelled) setLoadError('Failed to load rows.');
+      })
+      .finally(() => { if (!cancelled) setIsLoading(false); });
+    return () => { cancelled = true; };
+  }, [getCollection, page]);
+
+  const pageCount = totalRows === null ? null : Math.max(1, Math.ceil(totalRows / VIEWER_PAGE_SIZE));
+  const activeFilterCount = filterTerms.length + (queryAst ? 1 : 0);
+  const firstShown = page * VIEWER_PAGE_SIZE + (rows.length > 0 ? 1 : 0);
+  const lastShown = page * VIEWER_PAGE_SIZE + rows.length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-40 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-6xl max-h-full flex flex-col">
+        <div className="px-5 py-3 border-b border-gray-200 flex items-center justify-between gap-3 relative">
+          <div className="min-w-0">
+            <h3 className="text-lg font-semibold text-gray-800 truncate" title={fileIdentifier}>
+              {displayName || fileIdentifier.split('::')[0]} <span className="text-sm font-normal text-gray-500">({fileIdentifier.split('::')[1]})</span>
+              {versionLabel && <span className="ml-2 text-xs font-normal px-1.5 py-0.5 rounded bg-amber-100 text-amber-800">{versionLabel}</span>}
+            </h3>
+            <p className="text-xs text-gray-500">
+              {totalRows === null ? 'Counting rows...' : `${totalRows.toLocaleString()} rows${activeFilterCount > 0 ? ` match ${activeFilterCount} filter${activeFilterCount === 1 ? '' : 's'}` : ''}`}
+              {Object.keys(invalidFilters).length > 0 && (
+                <span className="text-red-500 ml-2">Ignoring invalid filter on {Object.keys(invalidFilters).join(', ')}.</span>
+              )}
+              {queryError && <span className="text-red-500 ml-2">Ignoring invalid search: {queryError}</span>}
+            </p>
+          </div>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <input
+              type="text" value={queryInput} onChange={event => setQueryInput(event.target.value)}
+              placeholder="Search this sheet..." title="Same syntax as the main search, e.g. status:open amount>500"
+              className={`w-48 px-2 py-1 text-xs border rounded-md ${queryError ? 'border-red-400' : 'border-gray-300'}`}
+            />
+            {activeFilterCount > 0 && (
+              <button onClick={() => { setFilterInputs({}); setQueryInput(''); }} className="text-xs px-2 py-1 rounded-md border border-gray-300 text-gray-600 hover:bg-gray-50">Clear filters</button>
+            )}
+            <button
+              onClick={() => setChooserOpen(open => !open)}
+              className="flex items-center text-xs px-2 py-1 rounded-md border border-gray-300 text-gray-600 hover:bg-gray-50"
+            >
+              <Icon icon={SlidersHorizontal} size={14} className="mr-1" />
+              Columns ({columns.length}/{headers.length})
+            </button>
+            <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-800" title="Close">
+              <Icon icon={XCircle} size={20} />
+            </button>
+          </div>
+          {chooserOpen && (
+            <ColumnChooser
+              headers={headers} prefs={columnPrefs}
+              onChange={prefs => onSaveColumnPrefs(fileIdentifier, prefs)}
+              onClose={() => setChooserOpen(false)}
+            />
+          )}
+        </div>
+        <div className="p-4 overflow-hidden flex-grow">
+          {loadError ? (
+            <p className="text-center text-red-500 italic mt-4">{loadError}</p>
+          ) : (
+            <VirtualizedTable
+              key={page} columns={columns} rows={rows} maxHeight={480}
+              getRowNumber={(row, index) => row._rowNumber || page * VIEWER_PAGE_SIZE + index + 1}
+              renderFilter={column => (
+                <input
+                  type="text" value={filterInputs[column] || ''} placeholder="Filter..."
+                  onChange={event => setFilterInputs(prev => ({ ...prev, [column]: event.target.value }))}
+                  title={invalidFilters[column] || 'Text to find, or a comparison such as >500 or <=2024-01-31'}
+                  className={`w-full px-1.5 py-0.5 text-xs font-normal border rounded ${invalidFilters[column] ? 'border-red-400' : 'border-gray-300'}`}
+                />
+              )}
+            />
+          )}
+        </div>
+        <div className="px-5 py-3 border-t border-gray-200 flex items-center justify-between text-sm">
+          <span className="text-gray-500">
+            {isLoading ? <Loader2 className="inline-block animate-spin h-4 w-4" /> : rows.length > 0 ? `Rows ${firstShown.toLocaleString()}–${lastShown.toLocaleString()}` : 'No rows'}
+          </span>
+          <div className="flex items-center gap-2">
+            <button onClick={() => setPage(0)} disabled={page === 0 || isLoading} className="px-2 py-1 rounded-md border border-gray-300 disabled:opacity-40">First</button>
+            <button onClick={() => setPage(p => p - 1)} disabled={page === 0 || isLoading} className="px-2 py-1 rounded-md border border-gray-300 disabled:opacity-40">Prev</button>
+            <span className="text-gray-600">Page {page + 1} of {pageCount === null ? '…' : pageCount.toLocaleString()}</span>
+            <button onClick={() => setPage(p => p + 1)} disabled={isLoading || rows.length < VIEWER_PAGE_SIZE || (pageCount !== null && page + 1 >= pageCount)} className="px-2 py-1 rounded-md border border-gray-300 disabled:opacity-40">Next</button>
+            <button onClick={() => setPage(pageCount - 1)} disabled={isLoading || pageCount === null || page + 1 >= pageCount} className="px-2 py-1 rounded-md border border-gray-300 disabled:opacity-40">Last</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// TextImportPreview Component
+// Lets the user confirm the encoding and delimiter of a CSV/TSV file against a live preview of its first rows.
+const TextImportPreview = ({ preview, onChange, onConfirm, onCancel }) => {
+  const previewRows = useMemo(() => {
+    if (!preview) return [];
+    try {
+      return parseDelimitedText(decodeTextSample(preview.sampleBytes, preview.encoding), preview.delimiter, TEXT_PREVIEW_ROWS);
+    } catch (error) {
+      console.error("Error decoding text preview:", error);
+      return [];
+    }
+  }, [preview]);
+
+  if (!preview) return null;
+  const columnCount = previewRows.reduce((max, row) => Math.max(max, row.length), 0);
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-40 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl">
+        <div className="px-5 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-800">Text import options</h3>
+          <p className="text-xs text-gray-500 truncate" title={preview.source.name}>{preview.source.name}</p>
+        </div>
+        <div className="px-5 py-3 flex flex-wrap gap-4 text-sm text-gray-700 border-b border-gray-200">
+          <label className="flex items-center gap-2">
+            Encoding
+            <select
+              value={preview.encoding} onChange={(e) => onChange({ encoding: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            >
+              {TEXT_ENCODINGS.map(encoding => <option key={encoding} value={encoding}>{encoding}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            Delimiter
+            <select
+              value={preview.delimiter} onChange={(e) => onChange({ delimiter: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            >
+              {DELIMITER_OPTIONS.map(option => <option key={option.label} value={option.value}>{option.label}</option>)}
+            </select>
+          </label>
+        </div>
+        <div className="max-h-72 overflow-auto">
+          {previewRows.length === 0 ? (
+            <p className="px-5 py-4 text-sm text-gray-500">Nothing to preview.</p>
+          ) : (
+            <table className="min-w-full text-xs">
+              <tbody>
+                {previewRows.map((row, rowIndex) => (
+                  <tr key={rowIndex} className={rowIndex === 0 ? 'bg-gray-100 font-semibold' : 'border-t border-gray-100'}>
+                    {Array.from({ length: columnCount }, (_, columnIndex) => (
+                      <td key={columnIndex} className="px-2 py-1 whitespace-nowrap max-w-xs truncate" title={row[columnIndex]}>{row[columnIndex]}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+        <div className="px-5 py-3 flex justify-between items-center border-t border-gray-200">
+          <span className="text-xs text-gray-500">Showing up to {TEXT_PREVIEW_ROWS} rows. Header rows can be chosen in the next step.</span>
+          <div className="flex gap-2">
+            <button onClick={onCancel} className="px-4 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50">Cancel</button>
+            <button onClick={onConfirm} className="px-4 py-2 text-sm rounded-md bg-emerald-600 text-white font-semibold hover:bg-emerald-700">Import</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// HeaderRowChooser Component
+// Preview of a sheet's first rows where the user picks the header row and how many rows below it
+// are combined into the column names. The resulting names are shown above the preview.
+const HeaderRowChooser = ({ sheet, onChange }) => {
+  const { previewRows, firstRowNumber, headerRow, headerRowCount, headers } = sheet;
+  const columnCount = Math.max(headers.length, previewRows.reduce((max, row) => Math.max(max, row.length), 0));
+  const maxRowCount = Math.max(1, Math.min(MAX_HEADER_ROWS, previewRows.length - headerRow));
+  return (
+    <div className="px-5 py-3 border-b border-gray-200 bg-gray-50">
+      <div className="flex flex-wrap gap-4 text-sm text-gray-700 mb-2">
+        <label className="flex items-center gap-2">
+          Header row
+          <select
+            value={headerRow} onChange={(e) => onChange({ headerRow: Number(e.target.value), headerRowCount: 1 })}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {previewRows.map((_, index) => <option key={index} value={index}>Row {firstRowNumber + index}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Rows in header
+          <select
+            value={headerRowCount} onChange={(e) => onChange({ headerRow, headerRowCount: Number(e.target.value) })}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {Array.from({ length: maxRowCount }, (_, index) => <option key={index} value={index + 1}>{index + 1}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="max-h-64 overflow-auto border border-gray-200 rounded-md bg-white">
+        <table className="min-w-full text-xs">
+          <thead className="bg-emerald-50 sticky top-0">
+            <tr>
+              <th className="px-2 py-1 text-left text-gray-400 font-normal">#</th>
+              {Array.from({ length: columnCount }, (_, columnIndex) => (
+                <th key={columnIndex} className="px-2 py-1 text-left font-semibold text-emerald-800 whitespace-nowrap">{headers[columnIndex]}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {previewRows.map((row, rowIndex) => {
+              const isHeader = rowIndex >= headerRow && rowIndex < headerRow + headerRowCount;
+              return (
+                <tr key={rowIndex} className={`border-t border-gray-100 ${isHeader ? 'bg-emerald-100 font-semibold' : rowIndex < headerRow ? 'text-gray-400' : ''}`}>
+                  <td className="px-2 py-1 text-gray-400">{firstRowNumber + rowIndex}</td>
+                  {Array.from({ length: columnCount }, (_, columnIndex) => (
+                    <td key={columnIndex} className="px-2 py-1 whitespace-nowrap max-w-xs truncate" title={row[columnIndex]}>{row[columnIndex]}</td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// SheetPicker Component
+// Lists every sheet of a parsed workbook with its row count so the user can tick which ones to import,
+// and lets each sheet's header rows be adjusted before import.
+const SheetPickerModal = ({ pendingImport, onToggle, onHeaderChange, onUpdateSheet, onConfirm, onCancel }) => {
+  const [configuringSheet, setConfiguringSheet] = useState(null);
+  const isOpen = Boolean(pendingImport);
+  useEffect(() => { if (!isOpen) setConfiguringSheet(null); }, [isOpen]);
+  if (!pendingImport) return null;
+  const selectedCount = pendingImport.sheets.filter(sheet => sheet.selected).length;
+  const mergeKeyMissing = pendingImport.sheets.some(sheet => sheet.selected && sheet.importMode === 'merge' && sheet.keyColumns.length === 0);
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-40 p-4">
+      <div className={`bg-white rounded-lg shadow-xl w-full ${configuringSheet ? 'max-w-4xl' : 'max-w-lg'}`}>
+        <div className="px-5 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-800">Select sheets to import</h3>
+          <p className="text-xs text-gray-500 truncate" title={pendingImport.fileName}>{pendingImport.fileName}</p>
+        </div>
+        <div className="max-h-[70vh] overflow-y-auto">
+          {pendingImport.sheets.map(sheet => (
+            <div key={sheet.sheetName}>
+              <div className={`flex items-center justify-between px-5 py-2 border-b border-gray-100 ${sheet.rowCount === 0 ? 'text-gray-400' : 'hover:bg-gray-50'}`}>
+                <label className={`flex items-center min-w-0 ${sheet.rowCount === 0 ? '' : 'cursor-pointer'}`}>
+                  <input
+                    type="checkbox" className="mr-3 accent-emerald-600"
+                    checked={sheet.selected} disabled={sheet.rowCount === 0}
+                    onChange={() => onToggle(sheet.sheetName)}
+                  />
+                  <span className="truncate" title={sheet.sheetName}>{sheet.sheetName}</span>
+                </label>
+                <span className="flex items-center gap-3 ml-3 flex-shrink-0 text-xs text-gray-500">
+                  {sheet.rowCount === 0 ? 'empty' : `${sheet.rowCount.toLocaleString()} rows`}
+                  {!sheet.fixedHeader && sheet.previewRows.length > 0 && (
+                    <button
+                      onClick={() => setConfiguringSheet(configuringSheet === sheet.sheetName ? null : sheet.sheetName)}
+                      className="text-emerald-700 hover:underline"
+                      title="Choose which rows hold the column names"
+                    >
+                      Headers: row {sheet.firstRowNumber + sheet.headerRow}{sheet.headerRowCount > 1 ? `–${sheet.firstRowNumber + sheet.headerRow + sheet.headerRowCount - 1}` : ''}
+                    </button>
+                  )}
+                </span>
+              </div>
+              {configuringSheet === sheet.sheetName && (
+                <HeaderRowChooser sheet={sheet} onChange={(config) => onHeaderChange(sheet.sheetName, config)} />
+              )}
+              {sheet.storedHeaders && sheet.selected && (
+                <div className="px-5 py-2 border-b border-gray-100 bg-amber-50 text-xs text-gray-700">
+                  <div className="flex items-center gap-2">
+                    <span className="text-amber-800">Already stored.</span>
+                    <select
+                      value={sheet.importMode} onChange={(e) => onUpdateSheet(sheet.sheetName, { importMode: e.target.value })}
+                      className="px-1 py-0.5 border border-gray-300 rounded-md bg-white"
+                    >
+                      <option value="replace">Replace stored data</option>
+                      <option value="merge">Merge changes by key columns</option>
+                    </select>
+                  </div>
+                  {sheet.importMode === 'merge' && (
+                    <div className="mt-1.5 flex flex-wrap gap-x-3 gap-y-1">
+                      <span className="text-gray-500">Key columns:</span>
+                      {sheet.headers.filter(header => sheet.storedHeaders.includes(header)).map(header => (
+                        <label key={header} className="flex items-center cursor-pointer">
+                          <input
+                            type="checkbox" className="mr-1 accent-emerald-600"
+                            checked={sheet.keyColumns.includes(header)}
+                            onChange={() => onUpdateSheet(sheet.sheetName, {
+                              keyColumns: sheet.keyColumns.includes(header) ? sheet.keyColumns.filter(column => column !== header) : [...sheet.keyColumns, header]
+                            })}
+                          />
+                          {header}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+        <div className="px-5 py-3 flex justify-end items-center gap-2 border-t border-gray-200">
+          {mergeKeyMissing && <span className="text-xs text-amber-700 mr-auto">Pick at least one key column to merge on.</span>}
+          <button onClick={onCancel} className="px-4 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50">Cancel</button>
+          <button
+            onClick={onConfirm} disabled={selectedCount === 0 || mergeKeyMissing}
+            className="px-4 py-2 text-sm rounded-md bg-emerald-600 text-white font-semibold hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Import {selectedCount} sheet{selectedCount === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// MergePreviewModal Component
+// Shows what a merge re-import would change (added, removed and changed rows with their cell
+// differences) and lets the user apply it or skip the sheet. Without onApply it just shows a
+// comparison (used for comparing stored versions) with a Close button.
+const MergePreviewModal = ({ preview, onApply, onSkip }) => {
+  if (!preview) return null;
+  const { fileIdentifier, keyColumns, diff, title = 'Review changes' } = preview;
+  const keyLabel = row => keyColumns.map(column => String(row[column] === undefined ? '' : row[column])).join(' · ');
+  const keyColumnNames = keyColumns.map(column => column === '_rowNumber' ? 'row number' : column);
+  const changeCount = diff.added.length + diff.removed.length + diff.changed.length;
+  const moreNote = (count) => count > MERGE_PREVIEW_LIMIT && (
+    <p className="px-3 py-1 text-gray-400 italic">…and {(count - MERGE_PREVIEW_LIMIT).toLocaleString()} more</p>
+  );
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-40 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl">
+        <div className="px-5 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-800">{title}</h3>
+          <p className="text-xs text-gray-500 truncate" title={fileIdentifier}>{fileIdentifier.replace('::', ' - ')} · keyed on {keyColumnNames.join(', ')}</p>
+          <p className="text-sm mt-2">
+            <span className="text-emerald-700">{diff.added.length.toLocaleString()} added</span> ·{' '}
+            <span className="text-red-600">{diff.removed.length.toLocaleString()} removed</span> ·{' '}
+            <span className="text-amber-700">{diff.changed.length.toLocaleString()} changed</span> ·{' '}
+            <span className="text-gray-500">{diff.unchangedCount.toLocaleString()} unchanged</span>
+          </p>
+        </div>
+        <div className="max-h-[60vh] overflow-y-auto text-xs">
+          {diff.duplicateKeys.length > 0 && (
+            <p className="px-5 py-3 text-red-600">
+              The key columns don't identify rows uniquely ({diff.duplicateKeys.length.toLocaleString()} repeated key{diff.duplicateKeys.length === 1 ? '' : 's'}, e.g. {JSON.parse(diff.duplicateKeys[0]).join(' · ')}). Choose more key columns and try again.
+            </p>
+          )}
+          {diff.duplicateKeys.length === 0 && changeCount === 0 && (
+            <p className="px-5 py-3 text-gray-500 italic">No differences from the stored data.</p>
+          )}
+          {diff.duplicateKeys.length === 0 && diff.changed.length > 0 && (
+            <div className="px-5 py-2">
+              <h4 className="font-semibold text-amber-700 mb-1">Changed</h4>
+              {diff.changed.slice(0, MERGE_PREVIEW_LIMIT).map(change => (
+                <div key={change.id} className="px-3 py-1 border-b border-gray-100">
+                  <span className="font-medium">{keyLabel(change.after)}</span>
+                  {change.cells.map(cell => (
+                    <span key={cell.header} className="ml-3">
+                      {cell.header}: <del className="text-red-600">{String(cell.before)}</del> → <ins className="text-emerald-700 no-underline">{String(cell.after)}</ins>
+                    </span>
+                  ))}
+                </div>
+              ))}
+              {moreNote(diff.changed.length)}
+            </div>
+          )}
+          {diff.duplicateKeys.length === 0 && diff.added.length > 0 && (
+            <div className="px-5 py-2">
+              <h4 className="font-semibold text-emerald-700 mb-1">Added</h4>
+              {diff.added.slice(0, MERGE_PREVIEW_LIMIT).map((row, index) => (
+                <div key={index} className="px-3 py-1 border-b border-gray-100 truncate">+ {keyLabel(row)}</div>
+              ))}
+              {moreNote(diff.added.length)}
+            </div>
+          )}
+          {diff.duplicateKeys.length === 0 && diff.removed.length > 0 && (
+            <div className="px-5 py-2">
+              <h4 className="font-semibold text-red-600 mb-1">Removed</h4>
+              {diff.removed.slice(0, MERGE_PREVIEW_LIMIT).map(row => (
+                <div key={row.id} className="px-3 py-1 border-b border-gray-100 truncate">− {keyLabel(row)}</div>
+              ))}
+              {moreNote(diff.removed.length)}
+            </div>
+          )}
+        </div>
+        <div className="px-5 py-3 flex justify-end gap-2 border-t border-gray-200">
+          <button onClick={onSkip} className="px-4 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50">{onApply ? 'Skip sheet' : 'Close'}</button>
+          {onApply && (
+            <button
+              onClick={onApply} disabled={diff.duplicateKeys.length > 0 || changeCount === 0}
+              className="px-4 py-2 text-sm rounded-md bg-emerald-600 text-white font-semibold hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Apply {changeCount.toLocaleString()} change{changeCount === 1 ? '' : 's'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// SearchScopeBar Component
+// Chips above the results limiting the search to some stored sheets and to some columns.
+// A workbook's chip stands for all of its sheets; removing a chip widens the search again.
+const ScopePicker = ({ label, open, onToggleOpen, children }) => (
+  <div className="relative">
+    <button
+      onClick={onToggleOpen}
+      className="flex items-center text-xs px-2 py-1 rounded-full border border-dashed border-gray-400 text-gray-600 hover:bg-gray-50"
+    >
+      {label}
+      <Icon icon={open ? ChevronUp : ChevronDown} size={12} className="ml-1" />
+    </button>
+    {open && (
+      <div className="absolute left-0 top-full mt-1 w-72 bg-white border border-gray-200 rounded-md shadow-lg z-30">
+        {children}
+      </div>
+    )}
+  </div>
+);
+
+const ScopeChip = ({ label, title, onRemove }) => (
+  <span className="flex items-center text-xs pl-2 pr-1 py-0.5 rounded-full bg-emerald-50 text-emerald-800 border border-emerald-200 max-w-xs" title={title}>
+    <span className="truncate">{label}</span>
+    <button onClick={onRemove} className="ml-1 text-emerald-700 hover:text-emerald-900" title="Remove from scope">
+      <Icon icon={XCircle} size={14} />
+    </button>
+  </span>
+);
+
+const SearchScopeBar = ({ files, scope, columnOptions, onChange }) => {
+  const [openPicker, setOpenPicker] = useState(null); // 'sheets' | 'columns'
+  const [columnFilter, setColumnFilter] = useState('');
+  const workbooks = useMemo(() => {
+    const byWorkbook = new Map();
+    files.forEach(file => {
+      const workbook = file.name.split('::')[0];
+      if (!byWorkbook.has(workbook)) byWorkbook.set(workbook, []);
+      byWorkbook.get(workbook).push(file);
+    });
+    return [...byWorkbook.entries()].map(([name, sheets]) => ({ name, sheets })).sort((a, b) => a.name.localeCompare(b.name));
+  }, [files]);
+
+  const setSheets = sheets => onChange({ ...scope, sheets });
+  const toggleSheet = name => setSheets(scope.sheets.includes(name) ? scope.sheets.filter(sheet => sheet !== name) : [...scope.sheets, name]);
+  const toggleWorkbook = (workbook) => {
+    const names = workbook.sheets.map(file => file.name);
+    const allChosen = names.every(name => scope.sheets.includes(name));
+    setSheets(allChosen ? scope.sheets.filter(name => !names.includes(name)) : [...new Set([...scope.sheets, ...names])]);
+  };
+  const toggleColumn = column => onChange({
+    ...scope, columns: scope.columns.includes(column) ? scope.columns.filter(candidate => candidate !== column) : [...scope.columns, column]
+  });
+
+  // One chip per fully chosen workbook, otherwise one per chosen sheet.
+  const sheetChips = workbooks.flatMap(workbook => {
+    const chosen = workbook.sheets.filter(file => scope.sheets.includes(file.name));
+    if (chosen.length === 0) return [];
+    if (chosen.length === workbook.sheets.length && workbook.sheets.length > 1) {
+      return [{ key: workbook.name, label: workbook.name, title: `All sheets of ${workbook.name}`, onRemove: () => toggleWorkbook(workbook) }];
+    }
+    return chosen.map(file => ({ key: file.name, label: file.displayName || file.name.replace('::', ' - '), title: file.name, onRemove: () => toggleSheet(file.name) }));
+  });
+  const shownColumns = columnOptions.filter(column => column.toLowerCase().includes(columnFilter.toLowerCase()));
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-3 text-xs">
+      <span className="text-gray-500">Search in:</span>
+      {sheetChips.map(chip => <ScopeChip key={chip.key} label={chip.label} title={chip.title} onRemove={chip.onRemove} />)}
+      <ScopePicker
+        label={sheetChips.length === 0 ? 'All files' : 'Files'} open={openPicker === 'sheets'}
+        onToggleOpen={() => setOpenPicker(openPicker === 'sheets' ? null : 'sheets')}
+      >
+        <div className="max-h-64 overflow-y-auto py-1">
+          {workbooks.map(workbook => (
+            <div key={workbook.name}>
+              <label className="flex items-center px-3 py-1 text-sm font-medium text-gray-700 hover:bg-gray-50 cursor-pointer">
+                <input
+                  type="checkbox" className="mr-2 accent-emerald-600"
+                  checked={workbook.sheets.every(file => scope.sheets.includes(file.name))} onChange={() => toggleWorkbook(workbook)}
+                />
+                <span className="truncate" title={workbook.name}>{workbook.name}</span>
+              </label>
+              {workbook.sheets.length > 1 && workbook.sheets.map(file => (
+                <label key={file.name} className="flex items-center pl-8 pr-3 py-1 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer">
+                  <input type="checkbox" className="mr-2 accent-emerald-600" checked={scope.sheets.includes(file.name)} onChange={() => toggleSheet(file.name)} />
+                  <span className="truncate" title={file.name}>{file.displayName || file.name.split('::')[1]}</span>
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
+      </ScopePicker>
+      {scope.columns.map(column => <ScopeChip key={column} label={`Column: ${column}`} title={column} onRemove={() => toggleColumn(column)} />)}
+      <ScopePicker
+        label={scope.columns.length === 0 ? 'All columns' : 'Columns'} open={openPicker === 'columns'}
+        onToggleOpen={() => setOpenPicker(openPicker === 'columns' ? null : 'columns')}
+      >
+        <div className="px-3 py-2 border-b border-gray-100">
+          <input
+            type="text" value={columnFilter} onChange={(e) => setColumnFilter(e.target.value)} placeholder="Find a column..."
+            className="w-full px-2 py-1 text-xs border border-gray-300 rounded-md"
+          />
+        </div>
+        <div className="max-h-64 overflow-y-auto py-1">
+          {shownColumns.length === 0 && <div className="px-3 py-2 text-xs text-gray-500 italic">No matching columns.</div>}
+          {shownColumns.map(column => (
+            <label key={column} className="flex items-center px-3 py-1 text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+              <input type="checkbox" className="mr-2 accent-emerald-600" checked={scope.columns.includes(column)} onChange={() => toggleColumn(column)} />
+              <span className="truncate" title={column}>{column || '(blank)'}</span>
+            </label>
+          ))}
+        </div>
+      </ScopePicker>
+      {(scope.sheets.length > 0 || scope.columns.length > 0) && (
+        <button onClick={() => onChange({ sheets: [], columns: [] })} className="text-emerald-700 hover:underline">Search everything</button>
+      )}
+    </div>
+  );
+};
+
+// SavedSearchesMenu Component
+// Saves the current search under a name and lists saved and recent searches to rerun.
+const describeSearchOptions = (search) => [
+  search.fuzzy ? 'fuzzy' : '',
+  search.scope && search.scope.sheets.length > 0 ? `${search.scope.sheets.length} sheet${search.scope.sheets.length === 1 ? '' : 's'}` : '',
+  search.scope && search.scope.columns.length > 0 ? `columns: ${search.scope.columns.join(', ')}` : ''
+].filter(Boolean).join(' · ');
+
+const SavedSearchesMenu = ({ saved, recent, canSave, onSave, onRun, onDelete, onClearRecent, onCopyLink }) => {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const run = (search) => {
+    setOpen(false);
+    onRun(search);
+  };
+  const save = () => {
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName('');
+  };
+  const searchButton = (search, label) => (
+    <button onClick={() => run(search)} className="flex-grow min-w-0 text-left" title={search.query}>
+      <span className="block truncate text-sm text-gray-700">{label}</span>
+      {describeSearchOptions(search) && <span className="block truncate text-xs text-gray-500">{describeSearchOptions(search)}</span>}
+    </button>
+  );
+
+  return (
+    <div className="relative flex-shrink-0">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="flex items-center text-sm px-2 py-1.5 rounded-md border border-gray-300 text-gray-600 hover:bg-gray-50"
+        title="Saved and recent searches"
+      >
+        <Icon icon={Bookmark} size={16} className="mr-1" />
+        Saved
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full mt-1 w-80 bg-white border border-gray-200 rounded-md shadow-lg z-30">
+          <div className="px-3 py-2 border-b border-gray-100">
+            <div className="flex gap-2">
+              <input
+                type="text" value={name} onChange={(e) => setName(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') save(); }}
+                placeholder={canSave ? 'Name this search...' : 'Type a search to save it'} disabled={!canSave}
+                className="flex-grow min-w-0 px-2 py-1 text-xs border border-gray-300 rounded-md"
+              />
+              <button onClick={save} disabled={!canSave || !name.trim()} className="px-2 py-1 text-xs rounded-md bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50">Save</button>
+            </div>
+            <button onClick={() => { setOpen(false); onCopyLink(); }} disabled={!canSave} className="mt-2 text-xs text-emerald-700 hover:underline disabled:text-gray-400 disabled:no-underline">
+              Copy link to this search
+            </button>
+          </div>
+          <div className="max-h-72 overflow-y-auto">
+            <div className="px-3 pt-2 pb-1 text-xs font-semibold text-gray-500 uppercase">Saved</div>
+            {saved.length === 0 && <div className="px-3 pb-2 text-xs text-gray-500 italic">No saved searches yet.</div>}
+            {saved.map(search => (
+              <div key={search.name} className="flex items-center px-3 py-1 hover:bg-gray-50">
+                {searchButton(search, search.name)}
+                <button onClick={() => onDelete(search.name)} className="ml-2 p-0.5 text-gray-400 hover:text-red-600" title={`Delete "${search.name}"`}>
+                  <Icon icon={Trash2} size={14} />
+                </button>
+              </div>
+            ))}
+            <div className="px-3 pt-3 pb-1 flex items-center justify-between text-xs">
+              <span className="font-semibold text-gray-500 uppercase">Recent</span>
+              {recent.length > 0 && <button onClick={onClearRecent} className="text-gray-500 hover:underline">Clear</button>}
+            </div>
+            {recent.length === 0 && <div className="px-3 pb-2 text-xs text-gray-500 italic">No recent searches.</div>}
+            {recent.map((search, index) => (
+              <div key={index} className="flex items-center px-3 py-1 hover:bg-gray-50">
+                {searchButton(search, search.query)}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// StoredFilesTable Component
+// The stored-files management panel: one row per stored sheet with its size and import
+// details, sortable by any column, filterable by tag, with bulk selection for deletion.
+// Display names and tags are edited inline and saved through onSaveDetails.
+const STORED_FILE_COLUMNS = [
+  { key: 'label', label: 'Sheet' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'rowCount', label: 'Rows', numeric: true },
+  { key: 'importedAt', label: 'Imported', numeric: true },
+  { key: 'sourceSize', label: 'Source', numeric: true },
+  { key: 'storedBytes', label: 'Stored (approx.)', numeric: true }
+];
+
+const parseTagList = (text) => [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+
+const compareStoredFiles = (a, b, column) => {
+  const left = column === 'tags' ? a.tags.join(', ') : a[column];
+  const right = column === 'tags' ? b.tags.join(', ') : b[column];
+  if (left === null || left === undefined || left === '') return right === null || right === undefined || right === '' ? 0 : 1; // Unknown values last
+  if (right === null || right === undefined || right === '') return -1;
+  if (typeof left === 'number' && typeof right === 'number') return left - right;
+  return String(left).localeCompare(String(right), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+const StoredFilesTable = ({ files, disabled, onView, onSummarize, onVersions, onExport, onDelete, onSaveDetails }) => {
+  const [sort, setSort] = useState({ column: 'label', direction: 'asc' });
+  const [tagFilter, setTagFilter] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [editing, setEditing] = useState(null); // { name, displayName, tags } of the row being edited
+
+  const allTags = useMemo(() => [...new Set(files.flatMap(file => file.tags))].sort((a, b) => a.localeCompare(b)), [files]);
+  const visibleFiles = useMemo(() => {
+    const filtered = tagFilter ? files.filter(file => file.tags.includes(tagFilter)) : files;
+    if (!sort) return filtered;
+    const direction = sort.direction === 'desc' ? -1 : 1;
+    return [...filtered].sort((a, b) => compareStoredFiles(a, b, sort.column) * direction);
+  }, [files, tagFilter, sort]);
+  // Selection only counts sheets that are still stored and currently shown.
+  const selectedVisible = visibleFiles.filter(file => selected.includes(file.name)).map(file => file.name);
+  const allSelected = visibleFiles.length > 0 && selectedVisible.length === visibleFiles.length;
+
+  useEffect(() => {
+    if (tagFilter && !allTags.includes(tagFilter)) setTagFilter('');
+  }, [allTags, tagFilter]);
+
+  const toggleSelected = name => setSelected(names => names.includes(name) ? names.filter(candidate => candidate !== name) : [...names, name]);
+  const toggleAll = () => setSelected(allSelected ? [] : visibleFiles.map(file => file.name));
+  const saveEditing = () => {
+    onSaveDetails(editing.name, { displayName: editing.displayName.trim(), tags: parseTagList(editing.tags) });
+    setEditing(null);
+  };
+  const handleEditKeyDown = (event) => {
+    if (event.key === 'Enter') saveEditing();
+    if (event.key === 'Escape') setEditing(null);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-2 text-xs text-gray-600">
+        {allTags.length > 0 && (
+          <label className="flex items-center gap-1">
+            Tag:
+            <select value={tagFilter} onChange={(e) => setTagFilter(e.target.value)} className="px-1 py-0.5 border border-gray-300 rounded text-xs">
+              <option value="">All sheets</option>
+              {allTags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+            </select>
+          </label>
+        )}
+        {selectedVisible.length > 0 && (
+          <button
+            onClick={() => onDelete(selectedVisible)} disabled={disabled}
+            className="flex items-center px-2 py-1 rounded-md border border-red-300 text-red-600 hover:bg-red-50 disabled:opacity-50"
+          >
+            <Icon icon={Trash2} size={14} className="mr-1" />
+            Delete {selectedVisible.length} selected
+          </button>
+        )}
+      </div>
+      <div className="border border-gray-200 rounded-md max-h-80 overflow-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-xs text-gray-500 text-left sticky top-0">
+            <tr>
+              <th className="px-3 py-2 w-8">
+                <input type="checkbox" className="accent-emerald-600" checked={allSelected} onChange={toggleAll} title="Select all shown sheets" />
+              </th>
+              {STORED_FILE_COLUMNS.map(column => (
+                <th key={column.key} className={`px-3 py-2 whitespace-nowrap ${column.numeric ? 'text-right' : ''}`}>
+                  <button onClick={() => setSort(nextSort(sort, column.key))} className="hover:text-gray-800">
+                    {column.label}
+                    {sort && sort.column === column.key && (
+                      <Icon icon={sort.direction === 'asc' ? ArrowUp : ArrowDown} size={12} className="inline ml-1" />
+                    )}
+                  </button>
+                </th>
+              ))}
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleFiles.map(file => {
+              const isEditing = editing && editing.name === file.name;
+              return (
+                <tr key={file.name} className="border-t border-gray-100 hover:bg-gray-50">
+                  <td className="px-3 py-2">
+                    <input type="checkbox" className="accent-emerald-600" checked={selected.includes(file.name)} onChange={() => toggleSelected(file.name)} />
+                  </td>
+                  <td className="px-3 py-2 max-w-xs">
+                    {isEditing ? (
+                      <input
+                        type="text" autoFocus value={editing.displayName} placeholder={file.name.replace('::', ' - ')}
+                        onChange={(e) => setEditing({ ...editing, displayName: e.target.value })} onKeyDown={handleEditKeyDown}
+                        className="w-full px-1 py-0.5 border border-gray-300 rounded text-sm"
+                      />
+                    ) : (
+                      <button onClick={() => onView(file.name)} className="text-left truncate max-w-full hover:text-emerald-700" title={`Browse ${file.name}`}>
+                        <Icon icon={FileSpreadsheet} size={16} className="inline mr-1.5 text-emerald-600" />
+                        {file.displayName || file.name.split('::')[0]}
+                        <span className="text-xs text-gray-500 ml-1">({file.displayName ? file.name.replace('::', ' - ') : file.name.split('::')[1]})</span>
+                      </button>
+                    )}
+                  </td>
+                  <td className="px-3 py-2">
+                    {isEditing ? (
+                      <input
+                        type="text" value={editing.tags} placeholder="finance, 2024"
+                        onChange={(e) => setEditing({ ...editing, tags: e.target.value })} onKeyDown={handleEditKeyDown}
+                        className="w-full min-w-[8rem] px-1 py-0.5 border border-gray-300 rounded text-sm"
+                      />
+                    ) : (
+                      <span className="flex flex-wrap gap-1">
+                        {file.tags.map(tag => (
+                          <button key={tag} onClick={() => setTagFilter(tag)} className="text-xs px-1.5 py-0.5 rounded bg-emerald-50 text-emerald-700 hover:bg-emerald-100">{tag}</button>
+                        ))}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">{file.rowCount.toLocaleString()}</td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap text-xs text-gray-600">{file.importedAt ? new Date(file.importedAt).toLocaleString() : '—'}</td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap text-xs text-gray-600">{file.sourceSize ? formatBytes(file.sourceSize) : '—'}</td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap text-xs text-gray-600">{file.storedBytes ? formatBytes(file.storedBytes) : '—'}</td>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center justify-end gap-1">
+                      <button onClick={() => onSummarize(file.name)} className="p-1 text-gray-500 hover:text-gray-800" title="Column statistics and pivot">
+                        <Icon icon={BarChart3} size={16} />
+                      </button>
+                      {isEditing ? (
+                        <>
+                          <button onClick={saveEditing} className="text-xs px-2 py-1 rounded-md bg-emerald-600 text-white hover:bg-emerald-700">Save</button>
+                          <button onClick={() => setEditing(null)} className="text-xs px-2 py-1 rounded-md border border-gray-300 text-gray-600 hover:bg-gray-50">Cancel</button>
+                        </>
+                      ) : (
+                        <button
+                          onClick={() => setEditing({ name: file.name, displayName: file.displayName || '', tags: file.tags.join(', ') })}
+                          className="p-1 text-gray-500 hover:text-gray-800" title="Rename or tag this sheet"
+                        >
+                          <Icon icon={Pencil} size={16} />
+                        </button>
+                      )}
+                      {file.versions.length > 1 && (
+                        <button
+                          onClick={() => onVersions(file.name)}
+                          className="text-xs px-2 py-1 rounded-md border border-gray-300 text-gray-600 hover:bg-gray-50 whitespace-nowrap"
+                          title="View, compare and restore earlier imports of this sheet"
+                        >
+                          {file.versions.length} versions
+                        </button>
+                      )}
+                      <ExportMenu onExport={format => onExport(file, format)} />
+                      <button onClick={() => onDelete([file.name])} title={`Delete ${file.name}`} className="delete-button-react" disabled={disabled}>
+                        <Icon icon={Trash2} size={18} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// StorageGauge Component
+// Shows how much of the origin's storage quota is in use, as reported by the browser.
+const StorageGauge = ({ estimate }) => {
+  if (!estimate || !estimate.quota) return null;
+  const percent = Math.min(100, (estimate.usage / estimate.quota) * 100);
+  const barColor = percent > 90 ? 'bg-red-500' : percent > 70 ? 'bg-amber-500' : 'bg-emerald-500';
+  return (
+    <div className="mt-3 text-xs text-gray-600">
+      <div className="flex justify-between mb-1">
+        <span>Browser storage</span>
+        <span>{formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} ({percent.toFixed(percent < 1 ? 1 : 0)}%)</span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div className={`${barColor} h-2 rounded-full`} style={{ width: `${percent}%` }}></div>
+      </div>
+    </div>
+  );
+};
+
+// ConfirmDialog Component
+// Asks a yes/no question from useConfirm(); shown above any other open modal.
+const ConfirmDialog = ({ request, onAnswer }) => {
+  if (!request) return null;
+  const confirmClass = request.danger ? 'bg-red-600 hover:bg-red-700' : 'bg-emerald-600 hover:bg-emerald-700';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md" role="alertdialog" aria-modal="true">
+        <div className="px-5 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-800">{request.title || 'Please confirm'}</h3>
+        </div>
+        <p className="px-5 py-4 text-sm text-gray-700 whitespace-pre-line">{request.message}</p>
+        <div className="px-5 py-3 border-t border-gray-200 flex justify-end gap-2">
+          <button onClick={() => onAnswer(false)} className="px-4 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50">Cancel</button>
+          <button onClick={() => onAnswer(true)} className={`px-4 py-2 text-sm rounded-md text-white font-semibold ${confirmClass}`} autoFocus>
+            {request.confirmLabel || 'OK'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// RestoreBackupModal Component
+// Summarizes a validated backup and asks whether to merge it into, or replace, the stored data.
+const RestoreBackupModal = ({ backup, storedFileNames, onConfirm, onCancel }) => {
+  const [mode, setMode] = useState('merge');
+  if (!backup) return null;
+  const overwritten = backup.metas.filter(meta => storedFileNames.includes(meta.fileName)).length;
+  const removed = storedFileNames.filter(name => !backup.metas.some(meta => meta.fileName === name)).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-40 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md">
+        <div className="px-5 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-800">Restore backup</h3>
+          <p className="text-xs text-gray-500 truncate" title={backup.fileName}>{backup.fileName}</p>
+        </div>
+        <div className="px-5 py-4 text-sm text-gray-700 space-y-3">
+          <p>
+            {backup.metas.length.toLocaleString()} sheet{backup.metas.length === 1 ? '' : 's'} and {backup.rowCount.toLocaleString()} rows
+            {backup.createdAt ? `, backed up ${new Date(backup.createdAt).toLocaleString()}` : ''}.
+          </p>
+          <label className="flex items-start cursor-pointer">
+            <input type="radio" name="restoreMode" className="mt-1 mr-2 accent-emerald-600" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+            <span>
+              Merge
+              <span className="block text-xs text-gray-500">
+                Keep other stored sheets. {overwritten > 0 ? `${overwritten} sheet${overwritten === 1 ? '' : 's'} with the same name will be replaced.` : 'No stored sheet has the same name.'}
+              </span>
+            </span>
+          </label>
+          <label className="flex items-start cursor-pointer">
+            <input type="radio" name="restoreMode" className="mt-1 mr-2 accent-emerald-600" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+            <span>
+              Replace everything
+              <span className="block text-xs text-gray-500">
+                Stored data becomes exactly the backup{removed > 0 ? `; ${removed} sheet${removed === 1 ? '' : 's'} not in it will be deleted` : ''}.
+              </span>
+            </span>
+          </label>
+        </div>
+        <div className="px-5 py-3 border-t border-gray-200 flex justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50">Cancel</button>
+          <button onClick={() => onConfirm(mode)} className="px-4 py-2 text-sm rounded-md bg-emerald-600 text-white font-semibold hover:bg-emerald-700">Restore</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// VersionHistoryModal Component
+// Lists a stored sheet's versions. Any version can be browsed (and searched) in the sheet viewer,
+// made live again, or compared with another version on chosen key columns.
+const VersionHistoryModal = ({ file, retention, busy, onView, onRestore, onCompare, onPrune, onClose }) => {
+  const versions = useMemo(() => [...(file.versions || [])].sort((a, b) => b.version - a.version), [file.versions]);
+  const [compareFrom, setCompareFrom] = useState(() => (versions[1] || versions[0] || {}).importId);
+  const [compareTo, setCompareTo] = useState(() => (versions[0] || {}).importId);
+  const [compareKeys, setCompareKeys] = useState([]);
+  const fromVersion = versions.find(entry => entry.importId === compareFrom);
+  const toVersion = versions.find(entry => entry.importId === compareTo);
+  const keyOptions = fromVersion && toVersion ? fromVersion.headers.filter(header => toVersion.headers.includes(header)) : [];
+  const toggleKey = key => setCompareKeys(keys => keys.includes(key) ? keys.filter(candidate => candidate !== key) : [...keys, key]);
+  const versionOption = entry => <option key={entry.importId} value={entry.importId}>Version {entry.version}</option>;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-40 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl">
+        <div className="px-5 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="min-w-0">
+            <h3 className="text-lg font-semibold text-gray-800">Version history</h3>
+            <p className="text-xs text-gray-500 truncate" title={file.name}>{file.name.replace('::', ' - ')}</p>
+          </div>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-800" title="Close">
+            <Icon icon={XCircle} size={20} />
+          </button>
+        </div>
+        <div className="max-h-72 overflow-y-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-xs text-gray-500 text-left">
+              <tr>
+                <th className="px-4 py-2">Version</th>
+                <th className="px-4 py-2">Imported</th>
+                <th className="px-4 py-2 text-right">Rows</th>
+                <th className="px-4 py-2">Source</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {versions.map(entry => (
+                <tr key={entry.importId} className="border-t border-gray-100">
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {entry.version}
+                    {entry.importId === file.importId && <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-emerald-100 text-emerald-800">Live</span>}
+                  </td>
+                  <td className="px-4 py-2 text-xs text-gray-600 whitespace-nowrap">
+                    {entry.importedAt ? new Date(entry.importedAt).toLocaleString() : 'Before version history'}
+                    {entry.mergedFrom && <span className="block text-amber-700">Merge into version {entry.mergedFrom}</span>}
+                    {entry.mergedAt && <span className="block text-amber-700">Merged {new Date(entry.mergedAt).toLocaleString()}</span>}
+                  </td>
+                  <td className="px-4 py-2 text-right">{entry.rowCount.toLocaleString()}</td>
+                  <td className="px-4 py-2 text-xs text-gray-600 truncate max-w-[12rem]" title={entry.sourceName}>
+                    {entry.sourceName}{entry.sourceSize ? ` · ${formatBytes(entry.sourceSize)}` : ''}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap text-right">
+                    <button onClick={() => onView(entry)} className="text-xs text-emerald-700 hover:underline mr-3">View</button>
+                    <button
+                      onClick={() => onRestore(entry)} disabled={busy || entry.importId === file.importId}
+                      className="text-xs text-emerald-700 hover:underline disabled:text-gray-300 disabled:no-underline"
+                    >
+                      Restore
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {versions.length > 1 && (
+          <div className="px-5 py-3 border-t border-gray-200 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-gray-700">Compare</span>
+              <select value={compareFrom} onChange={(e) => setCompareFrom(e.target.value)} className="px-2 py-1 border border-gray-300 rounded-md">
+                {versions.map(versionOption)}
+              </select>
+              <span className="text-gray-700">with</span>
+              <select value={compareTo} onChange={(e) => setCompareTo(e.target.value)} className="px-2 py-1 border border-gray-300 rounded-md">
+                {versions.map(versionOption)}
+              </select>
+              <button
+                onClick={() => onCompare(fromVersion, toVersion, compareKeys.filter(key => key === '_rowNumber' || keyOptions.includes(key)))}
+                disabled={busy || !fromVersion || !toVersion || compareFrom === compareTo || compareKeys.length === 0}
+                className="ml-auto px-3 py-1 text-sm rounded-md bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+              >
+                Compare
+              </button>
+            </div>
+            <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-700">
+              <span className="text-gray-500">Match rows on:</span>
+              {['_rowNumber', ...keyOptions].map(key => (
+                <label key={key} className="flex items-center cursor-pointer">
+                  <input type="checkbox" className="mr-1 accent-emerald-600" checked={compareKeys.includes(key)} onChange={() => toggleKey(key)} />
+                  {key === '_rowNumber' ? 'Row number' : key}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+        <div className="px-5 py-3 border-t border-gray-200 flex items-center justify-between text-xs text-gray-500">
+          <span>Keeping the newest {retention} version{retention === 1 ? '' : 's'} per sheet (set under Upload).</span>
+          <button
+            onClick={onPrune} disabled={busy || versions.length <= retention}
+            className="px-3 py-1 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-40"
+          >
+            Prune older versions
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Main Application Component ---
+function App() {
+  // --- State Variables ---
+  const [linkedSearch] = useState(readSearchHash); // Search opened from a link or bookmark, if any
+  const [searchTerm, setSearchTerm] = useState(() => linkedSearch ? linkedSearch.query : '');
+
+  const [fileInputKey, setFileInputKey] = useState(Date.now()); // To reset file input
+  const [pendingImport, setPendingImport] = useState(null); // Parsed workbook awaiting sheet selection
+  const [textImportPreview, setTextImportPreview] = useState(null); // CSV/TSV awaiting encoding/delimiter confirmation
+  const [mergePreview, setMergePreview] = useState(null); // Diff of a merge re-import awaiting review
+  const mergeDecisionRef = useRef(null); // Resolves the review with true (apply) or false (skip)
+  const [isImporting, setIsImporting] = useState(false); // True from file selection until the import settles
+  const parseWorkerRef = useRef(null); // Parse worker holding the current workbook
+  const cancelImportRef = useRef(false); // Set by the Cancel button, checked between batches
+  const fileInputRef = useRef(null);
+  const [maxFileSizeMb, setMaxFileSizeMb] = useState(loadMaxFileSizeMb);
+  const [interruptedJobs, setInterruptedJobs] = useState([]); // Import checkpoints left behind by a failed/closed import
+  const [resumeJob, setResumeJob] = useState(null); // Job waiting for its source file to be re-selected
+
+  const [progress, setProgressState] = useState({ value: 0, label: '', visible: false });
+  const [statusMessage, setStatusMessage] = useState('');
+  const [toast, setToast] = useState({ message: '', type: '', key: 0 });
+
+  const [footerStatus, setFooterStatus] = useState('Initializing...');
+  const [dbReady, setDbReady] = useState(false); // State to track DB readiness
+  const db = dbReady ? getDb() : null;
+  const {
+    storedFiles, isLoadingFiles, setIsLoadingFiles, columnPrefsByFile, sheetDetailsByFile, storageEstimate,
+    reload: reloadStoredSheets, saveColumnPrefs: storeColumnPrefs, saveSheetDetails: storeSheetDetails
+  } = useStoredSheets(db);
+  const { confirm, confirmRequest, settleConfirm } = useConfirm();
+
+  const [resultsView, setResultsView] = useState(() => window.localStorage.getItem(RESULTS_VIEW_SETTING_KEY) || 'cards'); // 'cards' | 'grid'
+  const [fuzzySearch, setFuzzySearch] = useState(() => linkedSearch ? linkedSearch.fuzzy : window.localStorage.getItem(FUZZY_SEARCH_SETTING_KEY) === 'true');
+  const [matchedColumnsOnly, setMatchedColumnsOnly] = useState(() => window.localStorage.getItem(MATCHED_COLUMNS_SETTING_KEY) === 'true');
+  const [searchScope, setSearchScope] = useState(() => linkedSearch ? linkedSearch.scope : loadSearchScope()); // As chosen; see activeSearchScope for what applies
+  const [savedSearches, setSavedSearches] = useState(() => loadSearchList(SAVED_SEARCHES_SETTING_KEY));
+  const [recentSearches, setRecentSearches] = useState(() => loadSearchList(RECENT_SEARCHES_SETTING_KEY));
+  const [viewingFile, setViewingFile] = useState(null); // { name, importId? } open in the sheet viewer; no importId means the live version
+  const [versionsFile, setVersionsFile] = useState(null); // fileName::sheetName whose version history is open
+  const [versionAction, setVersionAction] = useState(false); // True while a restore/compare/prune runs
+  const [comparePreview, setComparePreview] = useState(null); // Diff between two stored versions
+  const [versionRetention, setVersionRetention] = useState(loadVersionRetention);
+  const [backupTransfer, setBackupTransfer] = useState(null); // 'backup' | 'restore' while one runs
+  const [backupProgress, setBackupProgress] = useState({ value: 0, label: '', visible: false });
+  const [pendingRestore, setPendingRestore] = useState(null); // Validated backup awaiting the merge/replace choice
+  const [joinOpen, setJoinOpen] = useState(false);
+  const [summaryFile, setSummaryFile] = useState(null); // fileName::sheetName whose summary panel is open
+  const backupInputRef = useRef(null);
+
+  // --- Utility Functions ---
+  const showToast = useCallback((message, type = 'info') => {
+    setToast({ message, type, key: Date.now() });
+    setTimeout(() => setToast(prev => ({ ...prev, message: '' })), 3000);
+  }, []);
+
+  const updateProgress = useCallback((label, value, visible = true) => {
+    setProgressState({ label, value, visible });
+  }, []);
+
+  // --- Dexie Operations ---
+
+  // Load stored files list
+  const loadStoredFilesList = useCallback(async () => {
+    if (!db) return;
+    setFooterStatus('Loading stored files...');
+    try {
+      await reloadStoredSheets();
+      setFooterStatus('Ready');
+    } catch (error) {
+      console.error("Error loading stored files list:", error);
+      showToast('Failed to load stored files.', 'error');
+      setFooterStatus('Error loading files');
+    }
+  }, [db, reloadStoredSheets, showToast]);
+
+  // Schema upgrades run when the database is opened (just below) and report here.
+  useEffect(() => {
+    setMigrationListener(setFooterStatus);
+    return () => setMigrationListener(null);
+  }, []);
+
+  useEffect(() => {
+    // Opening runs any pending schema upgrades; it fails where IndexedDB is unavailable
+    // (e.g. some private browsing modes). The files load once it is ready.
+    let cancelled = false;
+    getDb().open()
+      .then(() => { if (!cancelled) setDbReady(true); })
+      .catch(error => {
+        if (cancelled) return;
+        console.error("Error opening the database:", error);
+        showToast('Browser storage is unavailable. Database features are disabled.', 'error');
+        setFooterStatus('Error: database unavailable');
+        setIsLoadingFiles(false);
+      });
+    return () => { cancelled = true; };
+  }, [showToast, setIsLoadingFiles]);
+
+  useEffect(() => {
+    loadStoredFilesList();
+  }, [loadStoredFilesList]);
+
+
+  // --- Import Checkpoint Recovery ---
+  // Jobs still "writing" when the app loads were interrupted (tab closed, crash, error) and
+  // can be resumed or rolled back. Jobs that were "finalizing" only need their cleanup finished.
+  const loadImportJobs = useCallback(async () => {
+    const currentDb = getDb();
+    if (!currentDb) return;
+    try {
+      const jobs = await currentDb[IMPORT_JOBS_STORE_NAME].toArray();
+      setInterruptedJobs(jobs.filter(job => job.status === IMPORT_JOB_WRITING));
+      for (const job of jobs.filter(job => job.status === IMPORT_JOB_FINALIZING)) {
+        console.log(`Finishing cleanup for import ${job.jobId} (${job.fileName})...`);
+        await finalizeImportJob(currentDb, job, loadVersionRetention());
+      }
+    } catch (error) {
+      console.error("Error loading import checkpoints:", error);
+      showToast('Failed to check for interrupted imports.', 'error');
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    if (dbReady) loadImportJobs();
+  }, [dbReady, loadImportJobs]);
+
+  const handleMaxFileSizeChange = (event) => {
+    const value = Number(event.target.value);
+    if (!(value > 0)) return;
+    setMaxFileSizeMb(value);
+    window.localStorage.setItem(MAX_FILE_SIZE_SETTING_KEY, String(value));
+  };
+
+  const handleVersionRetentionChange = (event) => {
+    const value = Math.floor(Number(event.target.value));
+    if (!(value >= 1)) return;
+    setVersionRetention(value);
+    window.localStorage.setItem(VERSION_RETENTION_SETTING_KEY, String(value));
+  };
+
+  // --- File Upload Handling ---
+  const releaseParseWorker = useCallback(() => {
+    if (parseWorkerRef.current) {
+      parseWorkerRef.current.terminate();
+      parseWorkerRef.current = null;
+    }
+  }, []);
+
+  useEffect(() => releaseParseWorker, [releaseParseWorker]); // Terminate any live worker on unmount
+
+  // Shared exit path for every way an import can be cancelled.
+  const finishCancelledImport = useCallback(() => {
+    releaseParseWorker();
+    setPendingImport(null);
+    setTextImportPreview(null);
+    setIsImporting(false);
+    updateProgress('', 0, false);
+    setStatusMessage('Import cancelled. No partial data was stored.');
+    setFooterStatus('Ready');
+    showToast('Import cancelled.', 'info');
+  }, [releaseParseWorker, updateProgress, showToast]);
+
+  const cancelImport = () => {
+    cancelImportRef.current = true;
+    if (mergeDecisionRef.current) mergeDecisionRef.current(false); // runSheetImports then sees the cancel flag
+    settleConfirm(false); // Likewise for an open overwrite question
+    if (pendingImport || textImportPreview) {
+      finishCancelledImport(); // Nothing is in flight while the sheet picker or text preview is open
+      return;
+    }
+    // Terminating the worker rejects any in-flight parse/rows request; the batch writer
+    // notices the flag before its next batch and the job is rolled back.
+    releaseParseWorker();
+  };
+
+  const startResume = (job) => {
+    setResumeJob(job);
+    setStatusMessage(`Select "${job.sourceName}" again to resume sheet "${job.sheetName}".`);
+    if (fileInputRef.current) fileInputRef.current.click();
+  };
+
+  const cancelResume = () => {
+    setResumeJob(null);
+    setStatusMessage('');
+  };
+
+  const handleRollbackJob = async (job) => {
+    const currentDb = getDb();
+    if (!currentDb) {
+      showToast('Database not available. Cannot roll back.', 'error');
+      return;
+    }
+    const confirmed = await confirm({
+      title: 'Roll back import',
+      message: `Discard the ${job.rowsWritten.toLocaleString()} rows already imported from "${job.sourceName}" (Sheet: "${job.sheetName}")?`,
+      confirmLabel: 'Roll back',
+      danger: true
+    });
+    if (!confirmed) return;
+    setIsImporting(true);
+    setFooterStatus(`Rolling back import of ${job.fileName}...`);
+    try {
+      await rollbackImportJob(currentDb, job, deleted => {
+        updateProgress(`Rolling back: ${deleted.toLocaleString()} / ${job.rowsWritten.toLocaleString()} rows removed`, Math.round((deleted / Math.max(job.rowsWritten, 1)) * 100));
+      });
+      if (resumeJob && resumeJob.jobId === job.jobId) setResumeJob(null);
+      showToast(`Import of "${job.sourceName}" (Sheet: "${job.sheetName}") rolled back.`, 'success');
+      setFooterStatus('Ready');
+    } catch (error) {
+      console.error("Error rolling back import:", error);
+      showToast(`Failed to roll back import: ${error.message}`, 'error');
+      setFooterStatus('Error rolling back import');
+    } finally {
+      setIsImporting(false);
+      updateProgress('', 0, false);
+      await loadImportJobs();
+    }
+  };
+
+  // Validates a file and starts importing it: from the file input, or opened/shared into the installed app.
+  const openImportFile = async (file) => {
+    const currentDb = getDb();
+    if (!currentDb) {
+      showToast('Database not available. Cannot save data.', 'error');
+      return;
+    }
+    if (!window.Worker) {
+      showToast('Web Workers are not supported in this browser. Cannot parse files.', 'error');
+      return;
+    }
+
+    if (!file) return;
+
+    console.log(`File selected: ${file.name}, Size: ${file.size}, Type: ${file.type}`);
+    setStatusMessage('');
+    updateProgress('Validating file...', 5);
+
+    const rejectFile = (message) => {
+      showToast(message, 'error');
+      updateProgress('', 0, false);
+      setFileInputKey(Date.now());
+    };
+
+    const fileExtension = getFileExtension(file.name);
+    const importKind = getImportKind(file.name);
+    if (!importKind || file.size > maxFileSizeMb * 1024 * 1024) {
+      rejectFile(`Invalid file. Please upload ${Object.keys(IMPORT_KIND_BY_EXTENSION).join(', ')} (Max ${maxFileSizeMb}MB).`);
+      return;
+    }
+    if (resumeJob) {
+      if (file.name !== resumeJob.sourceName || file.size !== resumeJob.sourceSize) {
+        rejectFile(`This is not the file being resumed. Select "${resumeJob.sourceName}" (${formatBytes(resumeJob.sourceSize)}).`);
+        return;
+      }
+      if (file.lastModified !== resumeJob.sourceLastModified && !(await confirm({
+        title: 'Resume import',
+        message: `"${file.name}" has a different modification date than the interrupted import. Resume anyway?`,
+        confirmLabel: 'Resume'
+      }))) {
+        rejectFile('Resume cancelled.');
+        return;
+      }
+    }
+
+    const quota = await checkStorageQuota(file.size);
+    if (!quota.ok && !(await confirm({
+      title: 'Low on storage',
+      message: `Importing "${file.name}" may need about ${formatBytes(quota.needed)} but only ${formatBytes(quota.available)} of browser storage is free. Continue anyway?`,
+      confirmLabel: 'Import anyway'
+    }))) {
+      rejectFile('Import cancelled: not enough storage.');
+      return;
+    }
+
+    cancelImportRef.current = false;
+    setIsImporting(true);
+    setFooterStatus(`Reading ${file.name}...`);
+    updateProgress('Reading file...', 10);
+
+    try {
+      const arrayBuffer = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = err => reject(new Error("Failed to read file."));
+        reader.readAsArrayBuffer(file);
+      });
+      if (cancelImportRef.current) throw new Error("Import cancelled.");
+
+      const source = { name: file.name, size: file.size, lastModified: file.lastModified };
+      if (resumeJob) {
+        // Jobs written before text imports existed carry no parse options and were always workbooks.
+        await parseAndPickSheets(source, arrayBuffer, resumeJob.parseOptions || { kind: 'workbook' });
+        return;
+      }
+      const parseOptions = { kind: importKind, sheetName: file.name.substring(0, file.name.lastIndexOf('.')) || file.name };
+      if (importKind !== 'delimited') {
+        await parseAndPickSheets(source, arrayBuffer, parseOptions);
+        return;
+      }
+
+      // Let the user confirm the sniffed encoding/delimiter; parsing continues in confirmTextImport.
+      const sampleBytes = new Uint8Array(arrayBuffer.slice(0, TEXT_SAMPLE_BYTES));
+      const encoding = detectTextEncoding(sampleBytes);
+      const truncated = arrayBuffer.byteLength > TEXT_SAMPLE_BYTES;
+      setTextImportPreview({
+        source, arrayBuffer, sampleBytes, parseOptions, encoding,
+        delimiter: fileExtension === '.tsv' ? '\t' : detectDelimiter(decodeTextSample(sampleBytes, encoding), truncated)
+      });
+      updateProgress('Confirm text import options...', 12);
+      setFooterStatus(`Waiting for text import options (${file.name})...`);
+    } catch (error) {
+      failImport(error);
+    } finally {
+      setFileInputKey(Date.now());
+    }
+  };
+
+  const handleFileUpload = (event) => openImportFile(event.target.files[0]);
+
+  // Shared error exit for reading/parsing; a cancelled import is reported as such instead.
+  const failImport = (error) => {
+    if (cancelImportRef.current) {
+      finishCancelledImport();
+      return;
+    }
+    console.error("Error processing file:", error);
+    releaseParseWorker();
+    setIsImporting(false);
+    showToast(`Error: ${error.message}`, 'error');
+    setStatusMessage(`Error: ${error.message}`);
+    setFooterStatus('Error processing file');
+    setTimeout(() => updateProgress('', 0, false), 2500);
+  };
+
+  const updateTextImportPreview = (changes) => {
+    setTextImportPreview(prev => prev && { ...prev, ...changes });
+  };
+
+  const confirmTextImport = async () => {
+    if (!textImportPreview) return;
+    const { source, arrayBuffer, parseOptions, encoding, delimiter } = textImportPreview;
+    setTextImportPreview(null);
+    await parseAndPickSheets(source, arrayBuffer, { ...parseOptions, encoding, delimiter });
+  };
+
+  // Parse the file in a fresh worker, then either continue the pending resume or open the sheet picker.
+  // `parseOptions` is stored on each import job so a resume parses the file the same way.
+  const parseAndPickSheets = async (source, arrayBuffer, parseOptions) => {
+    try {
+      setFooterStatus(`Parsing ${source.name}...`);
+      updateProgress(parseOptions.kind === 'workbook' ? 'Parsing workbook...' : 'Parsing file...', 15);
+
+      releaseParseWorker();
+      const parser = createParseWorker();
+      parseWorkerRef.current = parser;
+      const sheets = await parser.parse(arrayBuffer, parseOptions, (message) => {
+        if (message.phase === 'workbook') {
+          updateProgress(`File loaded (${message.sheetCount} sheet${message.sheetCount === 1 ? '' : 's'}). Reading rows...`, 20);
+          return;
+        }
+        const rowFraction = message.rowsTotal > 0 ? message.rowsDone / message.rowsTotal : 1;
+        const workbookFraction = (message.sheetIndex + rowFraction) / message.sheetCount;
+        updateProgress(
+          `Parsing sheet "${message.sheetName}" (${message.sheetIndex + 1}/${message.sheetCount}): ${message.rowsDone.toLocaleString()} / ${message.rowsTotal.toLocaleString()} rows`,
+          20 + Math.round(workbookFraction * 30)
+        );
+      });
+
+      if (!sheets || sheets.length === 0) throw new Error("Could not read workbook structure or file is empty.");
+      if (!sheets.some(sheet => sheet.rowCount > 0)) throw new Error("No data found in any sheet.");
+
+      const importSource = { ...source, parseOptions };
+      if (resumeJob) {
+        let sheet = sheets.find(candidate => candidate.sheetName === resumeJob.sheetName);
+        if (!sheet) throw new Error(`Sheet "${resumeJob.sheetName}" was not found in ${source.name}.`);
+        if (resumeJob.headerConfig) sheet = { ...sheet, ...await parser.configure(sheet.sheetName, resumeJob.headerConfig) };
+        const job = resumeJob;
+        setResumeJob(null);
+        await runSheetImports(importSource, [{ ...sheet, resumeJob: job }]);
+        return;
+      }
+
+      // Hand over to the sheet picker; storage continues in importSelectedSheets.
+      const storedHeadersByFile = storedFiles.reduce((acc, file) => {
+        acc[file.name] = file.headers || [];
+        return acc;
+      }, {});
+      setPendingImport({
+        fileName: source.name,
+        source: importSource,
+        sheets: sheets.map(sheet => ({
+          ...sheet,
+          selected: sheet.rowCount > 0,
+          storedHeaders: storedHeadersByFile[`${source.name}::${sheet.sheetName}`] || null, // Set when the sheet is already stored
+          importMode: 'replace',
+          keyColumns: []
+        }))
+      });
+      updateProgress('Select sheets to import...', 50);
+      setFooterStatus(`Waiting for sheet selection (${source.name})...`);
+    } catch (error) {
+      failImport(error);
+    }
+  };
+
+  const toggleSheetSelection = (sheetName) => {
+    setPendingImport(prev => prev && ({
+      ...prev,
+      sheets: prev.sheets.map(sheet => sheet.sheetName === sheetName ? { ...sheet, selected: !sheet.selected } : sheet)
+    }));
+  };
+
+  const changeSheetHeaders = async (sheetName, headerConfig) => {
+    const parser = parseWorkerRef.current;
+    if (!parser) return;
+    try {
+      const configured = await parser.configure(sheetName, headerConfig);
+      setPendingImport(prev => prev && ({
+        ...prev,
+        sheets: prev.sheets.map(sheet => sheet.sheetName === sheetName
+          ? {
+            ...sheet, ...configured,
+            selected: configured.rowCount > 0 && sheet.selected,
+            keyColumns: sheet.keyColumns.filter(column => configured.headers.includes(column))
+          }
+          : sheet)
+      }));
+    } catch (error) {
+      console.error("Error applying header rows:", error);
+      showToast(`Failed to apply header rows: ${error.message}`, 'error');
+    }
+  };
+
+  const updatePendingSheet = (sheetName, changes) => {
+    setPendingImport(prev => prev && ({
+      ...prev,
+      sheets: prev.sheets.map(sheet => sheet.sheetName === sheetName ? { ...sheet, ...changes } : sheet)
+    }));
+  };
+
+  // Opens the merge review and resolves once the user applies (true) or skips (false) it.
+  const reviewMerge = (preview) => new Promise(resolve => {
+    mergeDecisionRef.current = (apply) => {
+      mergeDecisionRef.current = null;
+      setMergePreview(null);
+      resolve(apply);
+    };
+    setMergePreview(preview);
+  });
+
+  const importSelectedSheets = async () => {
+    if (!pendingImport) return;
+    const { source } = pendingImport;
+    const sheetsToImport = pendingImport.sheets.filter(sheet => sheet.selected && sheet.rowCount > 0);
+    setPendingImport(null);
+    if (sheetsToImport.length === 0) {
+      releaseParseWorker();
+      setIsImporting(false);
+      showToast('No sheets selected. Nothing was imported.', 'info');
+      updateProgress('', 0, false);
+      setFooterStatus('Ready');
+      return;
+    }
+    await runSheetImports(source, sheetsToImport);
+  };
+
+  // Stores the sheets through importParsedSheets (see core/ingest.js), which checkpoints each one
+  // and leaves a failed sheet's job for resume/rollback; cancelling rolls back the sheet in progress.
+  const runSheetImports = async (source, sheetsToImport) => {
+    const currentDb = getDb();
+    const parser = parseWorkerRef.current;
+    if (!currentDb || !parser) {
+      showToast('Database not available. Cannot save data.', 'error');
+      releaseParseWorker();
+      setIsImporting(false);
+      return;
+    }
+
+    const fileName = source.name;
+    const { storedSheets, skippedSheets, cancelled, error, interruptedJob } = await importParsedSheets(currentDb, parser, source, sheetsToImport, {
+      retention: versionRetention,
+      shouldCancel: () => cancelImportRef.current,
+      confirmOverwrite: ({ sheetName }) => confirm({
+        title: 'Overwrite stored sheet',
+        message: `Data for "${fileName}" (Sheet: "${sheetName}") already exists. Overwrite?`,
+        confirmLabel: 'Overwrite',
+        danger: true
+      }),
+      reviewMerge,
+      onProgress: ({ phase, sheetName, sheetIndex, sheetCount, rowsDone, rowCount, fraction }) => {
+        const sheetLabel = `sheet "${sheetName}" (${sheetIndex + 1}/${sheetCount})`;
+        const rowsLabel = `${rowsDone.toLocaleString()} / ${rowCount.toLocaleString()} rows`;
+        const value = 50 + Math.round(fraction * 50);
+        switch (phase) {
+          case 'check':
+            setFooterStatus(`Checking existing data for ${fileName} (${sheetName})...`);
+            break;
+          case 'compare':
+            setFooterStatus(`Comparing ${fileName} (${sheetName}) with stored data...`);
+            updateProgress(`Comparing ${sheetLabel}: ${rowsLabel}`, value);
+            break;
+          case 'review':
+            setFooterStatus(`Waiting for merge review (${fileName}, ${sheetName})...`);
+            break;
+          case 'merge':
+            setFooterStatus(`Merging changes into ${fileName} (${sheetName})...`);
+            updateProgress(`Merging ${sheetLabel}: ${rowsLabel}`, value);
+            break;
+          case 'store':
+            setFooterStatus(`Storing data from ${fileName} (${sheetName})...`);
+            updateProgress(`Storing ${sheetLabel}: ${rowsLabel}`, value);
+            break;
+          case 'finalize':
+            setFooterStatus(`Finalizing ${fileName} (${sheetName})...`);
+            updateProgress(`Finalizing ${sheetLabel}...`, value);
+            break;
+          default: // 'rollback' of a cancelled sheet, a failed merge or a resume that no longer matches
+            setFooterStatus(`Rolling back ${fileName}::${sheetName}...`);
+            updateProgress(`Rolling back: ${rowsDone.toLocaleString()} rows removed`, 0);
+        }
+      }
+    });
+
+    if (cancelled) {
+      finishCancelledImport();
+      if (storedSheets.length > 0) setStatusMessage(`Import cancelled. Sheets completed before cancelling were kept: ${storedSheets.join(', ')}.`);
+    } else if (error) {
+      console.error("Error storing sheets:", error);
+      showToast(`Error: ${error.message}`, 'error');
+      const resumeNote = interruptedJob ? ' The partial import can be resumed or rolled back below.' : '';
+      setStatusMessage(`Error: ${error.message}${storedSheets.length > 0 ? ` (already stored: ${storedSheets.join(', ')})` : ''}${resumeNote}`);
+      setFooterStatus('Error processing file');
+      setTimeout(() => updateProgress('', 0, false), 2500);
+    } else {
+      updateProgress('Complete!', 100);
+      if (storedSheets.length > 0) {
+        showToast(`Stored ${storedSheets.length} sheet(s) from "${fileName}" successfully!`, 'success');
+      } else {
+        showToast(`Nothing stored from "${fileName}".`, 'info');
+      }
+      const skippedNote = skippedSheets.length > 0 ? ` Skipped: ${skippedSheets.join(', ')}.` : '';
+      setStatusMessage(`"${fileName}" processed. Imported: ${storedSheets.join(', ') || 'none'}.${skippedNote}`);
+      setFooterStatus('Ready');
+      setTimeout(() => updateProgress('', 0, false), 2500);
+    }
+    releaseParseWorker();
+    setIsImporting(false);
+    await loadStoredFilesList();
+    await loadImportJobs();
+  };
+
+  // --- Opened & Shared Files ---
+  // Files opened with the installed app (the manifest's file_handlers) or shared to it go
+  // through the same pipeline as the file input, one at a time.
+  const openLaunchedFilesRef = useRef(null);
+  useEffect(() => {
+    openLaunchedFilesRef.current = (files) => {
+      if (files.length === 0) return;
+      if (isImporting) {
+        showToast(`Finish the current import before opening "${files[0].name}".`, 'error');
+        return;
+      }
+      if (files.length > 1) showToast(`Only one file is imported at a time. Opening "${files[0].name}".`, 'info');
+      openImportFile(files[0]);
+    };
+  });
+
+  useEffect(() => {
+    registerServiceWorker();
+  }, []);
 
-  const [storedFiles, setStoredFiles] = useState([]);
-  const [isLoadingFiles, setIsLoadingFiles] = useState(true);
+  useEffect(() => {
+    if (!dbReady) return;
+    if ('launchQueue' in window) {
+      window.launchQueue.setConsumer(async (launchParams) => {
+        const files = await Promise.all((launchParams.files || []).map(handle => handle.getFile()));
+        openLaunchedFilesRef.current(files);
+      });
+    }
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(SHARED_FILES_PARAM)) return;
+    url.searchParams.delete(SHARED_FILES_PARAM);
+    window.history.replaceState(null, '', url.toString()); // Keeps the search hash
+    takeSharedFiles()
+      .then(files => openLaunchedFilesRef.current(files))
+      .catch(error => {
+        console.error("Error reading shared files:", error);
+        showToast('Could not open the shared file.', 'error');
+      });
+  }, [dbReady, showToast]);
 
-  const [fileInputKey, setFileInputKey] = useState(Date.now()); // To reset file input
+  // --- Search Functionality ---
+  // Case-insensitive column lookup for field-scoped query terms, per stored sheet.
+  const headerIndex = useMemo(() => indexSheetHeaders(storedFiles), [storedFiles]);
 
-  const [progress, setProgressState] = useState({ value: 0, label: '', visible: false });
-  const [statusMessage, setStatusMessage] = useState('');
-  const [toast, setToast] = useState({ message: '', type: '', key: 0 });
+  // Column choices for the scope bar: the columns of the scoped sheets (or of every sheet),
+  // without case-insensitive repeats.
+  const scopeColumnOptions = useMemo(() => {
+    const scopedSheets = searchScope.sheets.filter(name => name in headerIndex.byFile);
+    const files = scopedSheets.length > 0 ? storedFiles.filter(file => scopedSheets.includes(file.name)) : storedFiles;
+    const seen = new Set();
+    return files.flatMap(file => file.headers || []).filter(header => {
+      if (seen.has(header.toLowerCase())) return false;
+      seen.add(header.toLowerCase());
+      return true;
+    });
+  }, [storedFiles, searchScope.sheets, headerIndex]);
+  const activeSearchScope = useMemo(() => resolveSearchScope(searchScope, headerIndex), [searchScope, headerIndex]);
 
-  const [footerStatus, setFooterStatus] = useState('Initializing...');
-  const [dbReady, setDbReady] = useState(false); // State to track DB readiness
+  const changeSearchScope = (scope) => {
+    setSearchScope(scope);
+    window.localStorage.setItem(SEARCH_SCOPE_SETTING_KEY, JSON.stringify(scope));
+  };
 
-  // --- Utility Functions ---
-  const showToast = useCallback((message, type = 'info') => {
-    setToast({ message, type, key: Date.now() });
-    setTimeout(() => setToast(prev => ({ ...prev, message: '' })), 3000);
+  const setSearchBusy = useCallback((busy) => {
+    setFooterStatus(status => busy ? 'Searching...' : (status === 'Searching...' ? 'Ready' : status));
   }, []);
 
-  const updateProgress = useCallback((label, value, visible = true) => {
-    setProgressState({ label, value, visible });
-  }, []);
+  const handleSearchError = useCallback((error) => {
+    console.error("Search error:", error);
+    showToast("Error performing search.", 'error');
+    setFooterStatus('Error during search');
+  }, [showToast]);
 
-  // --- Dexie Operations ---
+  // Re-runs by itself when the stored sheets, scope or fuzzy setting change.
+  const {
+    searchHits, searchPage, setSearchPage, searchResults, searchStatus, isSearching,
+    searchFuzzyVariants, searchHighlight, noteQueryChange
+  } = useSheetSearch(db, {
+    query: searchTerm,
+    sheets: storedFiles,
+    headerIndex,
+    scope: activeSearchScope,
+    fuzzy: fuzzySearch,
+    debounceMs: SEARCH_DEBOUNCE_MS,
+    pageSize: SEARCH_PAGE_SIZE,
+    onBusyChange: setSearchBusy,
+    onError: handleSearchError
+  });
 
-  // Load stored files list
-  const loadStoredFilesList = useCallback(async () => {
-    const currentDb = getDb(); // Attempt to get/initialize DB
+  const handleSearchChange = (event) => {
+    setSearchTerm(event.target.value);
+    noteQueryChange(event.target.value);
+  };
+
+  // --- Delete File Data ---
+  // Deletes one or more stored sheets (all of their versions) after a single confirmation.
+  const deleteFileData = async (fileIdentifiersToDelete) => {
+    const currentDb = getDb();
     if (!currentDb) {
-      showToast('Database is not available. Cannot load files.', 'error');
-      setFooterStatus('Error: DB not ready');
-      setIsLoadingFiles(false);
-      setDbReady(false);
+      showToast('Database not available. Cannot delete data.', 'error');
       return;
     }
-    setDbReady(true); // DB is available
-    setIsLoadingFiles(true);
-    setFooterStatus('Loading stored files...');
+    const description = fileIdentifiersToDelete.length === 1 ? `"${fileIdentifiersToDelete[0]}"` : `${fileIdentifiersToDelete.length} sheets`;
+    const confirmed = await confirm({
+      title: 'Delete stored data',
+      message: `Are you sure you want to delete all data from ${description}? This cannot be undone.`,
+      confirmLabel: 'Delete',
+      danger: true
+    });
+    if (!confirmed) return;
+    
+    const fStatus = footerStatus; // Capture before async
+    setFooterStatus(`Deleting ${description}...`);
     try {
-      const filesMetadata = await currentDb[METADATA_STORE_NAME].toArray();
-      setStoredFiles(filesMetadata.map(meta => ({ name: meta.fileName, headers: meta.headers })));
+      // Refreshing the list as soon as the metadata is gone hides the sheets at once, while
+      // their rows are still being removed in batches.
+      await deleteStoredSheets(currentDb, fileIdentifiersToDelete, {
+        onHidden: loadStoredFilesList,
+        onProgress: deleted => setFooterStatus(`Deleting ${description}... (${deleted.toLocaleString()} rows)`)
+      });
       setFooterStatus('Ready');
+      showToast(`Data for ${description} deleted successfully.`, 'success');
+      await loadStoredFilesList(); // Refresh the storage estimate now the rows are gone
+      await loadImportJobs();
     } catch (error) {
-      console.error("Error loading stored files list:", error);
-      showToast('Failed to load stored files.', 'error');
-      setFooterStatus('Error loading files');
+      console.error("Error deleting file data:", error);
+      showToast(`Failed to delete data for ${description}.`, 'error');
+      setFooterStatus('Error deleting file');
     } finally {
-      setIsLoadingFiles(false);
+        if (fStatus.startsWith('Deleting') || footerStatus.startsWith('Deleting')) setFooterStatus('Ready');
     }
-  }, [showToast]);
+  };
+
+  // --- Results View ---
+  const changeResultsView = (view) => {
+    setResultsView(view);
+    window.localStorage.setItem(RESULTS_VIEW_SETTING_KEY, view);
+  };
+
+  const toggleMatchedColumnsOnly = () => {
+    setMatchedColumnsOnly(enabled => {
+      window.localStorage.setItem(MATCHED_COLUMNS_SETTING_KEY, String(!enabled));
+      return !enabled;
+    });
+  };
+
+  // --- Saved Searches & Search Links ---
+  const currentSearch = useMemo(() => ({ query: searchTerm.trim(), fuzzy: fuzzySearch, scope: searchScope }), [searchTerm, fuzzySearch, searchScope]);
 
   useEffect(() => {
-    // This effect tries to initialize the DB and load files.
-    // It will retry if Dexie is not immediately available.
-    let attempts = 0;
-    const maxAttempts = 5;
-    let timerId = null;
-
-    const attemptLoad = () => {
-      attempts++;
-      const currentDb = getDb(); // This will initialize dbInstance if window.Dexie is present
-      if (currentDb) {
-        setDbReady(true);
-        loadStoredFilesList();
-      } else if (attempts < maxAttempts) {
-        showToast(`Dexie.js not ready, retrying... (Attempt ${attempts}/${maxAttempts})`, 'info');
-        setFooterStatus(`DB not ready (attempt ${attempts})`);
-        timerId = setTimeout(attemptLoad, 1500 + attempts * 500); // Incremental backoff
-      } else {
-        showToast('Dexie.js failed to load after multiple attempts. Database features unavailable.', 'error');
-        setFooterStatus('Error: Dexie.js missing');
-        setIsLoadingFiles(false);
-        setDbReady(false);
-      }
-    };
+    writeSearchHash(currentSearch);
+  }, [currentSearch]);
 
-    attemptLoad(); // Initial attempt
+  // Replaces the query and its options, as when a saved search or a pasted link is opened.
+  const applySearch = useCallback((search) => {
+    const scope = search.scope || { sheets: [], columns: [] };
+    setSearchTerm(search.query);
+    noteQueryChange(search.query);
+    setFuzzySearch(Boolean(search.fuzzy));
+    window.localStorage.setItem(FUZZY_SEARCH_SETTING_KEY, String(Boolean(search.fuzzy)));
+    setSearchScope(scope);
+    window.localStorage.setItem(SEARCH_SCOPE_SETTING_KEY, JSON.stringify(scope));
+  }, [noteQueryChange]);
 
-    return () => {
-      if (timerId) clearTimeout(timerId); // Cleanup timer on unmount
+  useEffect(() => {
+    const handleHashChange = () => {
+      const search = readSearchHash();
+      if (search) applySearch(search);
     };
-  }, [loadStoredFilesList, showToast]); // Rerun if these functions change (they are memoized)
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [applySearch]);
 
+  // Searches are added to the recent list when committed (Enter, leaving the box or rerunning
+  // one), not on every keystroke.
+  const recordRecentSearch = (search) => {
+    if (!search.query) return;
+    setRecentSearches(previous => {
+      const next = [search, ...previous.filter(entry => !isSameSearch(entry, search))].slice(0, MAX_RECENT_SEARCHES);
+      window.localStorage.setItem(RECENT_SEARCHES_SETTING_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
 
-  // --- File Upload Handling ---
-  const handleFileUpload = async (event) => {
-    const currentDb = getDb();
-    if (!window.XLSX) {
-      showToast('XLSX library (SheetJS) not loaded. Please check your internet or script tags.', 'error');
-      return;
-    }
-    if (!currentDb) {
-      showToast('Database not available. Cannot save data.', 'error');
-      return;
-    }
+  const runSavedSearch = (search) => {
+    applySearch(search);
+    recordRecentSearch({ query: search.query, fuzzy: Boolean(search.fuzzy), scope: search.scope || { sheets: [], columns: [] } });
+  };
 
-    const file = event.target.files[0];
-    if (!file) return;
+  const saveCurrentSearch = (name) => {
+    setSavedSearches(previous => {
+      const next = [...previous.filter(search => search.name !== name), { name, ...currentSearch }]
+        .sort((a, b) => a.name.localeCompare(b.name));
+      window.localStorage.setItem(SAVED_SEARCHES_SETTING_KEY, JSON.stringify(next));
+      return next;
+    });
+    showToast(`Saved search "${name}".`, 'success');
+  };
 
-    console.log(`File selected: ${file.name}, Size: ${file.size}, Type: ${file.type}`);
-    setStatusMessage('');
-    updateProgress('Validating file...', 5);
+  const deleteSavedSearch = (name) => {
+    setSavedSearches(previous => {
+      const next = previous.filter(search => search.name !== name);
+      window.localStorage.setItem(SAVED_SEARCHES_SETTING_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
 
-    const allowedExtensions = ['.xlsx', '.xls'];
-    const fileExtension = file.name.substring(file.name.lastIndexOf('.')).toLowerCase();
-    if (!allowedExtensions.includes(fileExtension) || file.size > MAX_FILE_SIZE) {
-      showToast(`Invalid file. Please upload .xlsx or .xls (Max ${MAX_FILE_SIZE / 1024 / 1024}MB).`, 'error');
-      updateProgress('', 0, false);
-      setFileInputKey(Date.now());
-      return;
+  const clearRecentSearches = () => {
+    setRecentSearches([]);
+    window.localStorage.removeItem(RECENT_SEARCHES_SETTING_KEY);
+  };
+
+  const copySearchLink = async () => {
+    writeSearchHash(currentSearch);
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      showToast('Link to this search copied.', 'success');
+    } catch (error) {
+      console.error("Error copying search link:", error);
+      showToast('Could not copy the link. Copy it from the address bar instead.', 'error');
     }
+  };
 
-    setFooterStatus(`Reading ${file.name}...`);
-    updateProgress('Reading file...', 10);
+  const handleSearchKeyDown = (event) => {
+    if (event.key === 'Enter') recordRecentSearch(currentSearch);
+  };
+
+  const toggleFuzzySearch = () => {
+    setFuzzySearch(enabled => {
+      window.localStorage.setItem(FUZZY_SEARCH_SETTING_KEY, String(!enabled));
+      return !enabled;
+    });
+  };
 
+  const saveColumnPrefs = useCallback(async (fileIdentifier, columnPrefs) => {
     try {
-      const arrayBuffer = await new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = e => resolve(e.target.result);
-        reader.onerror = err => reject(new Error("Failed to read file."));
-        reader.readAsArrayBuffer(file);
-      });
+      await storeColumnPrefs(fileIdentifier, columnPrefs);
+    } catch (error) {
+      console.error("Error saving column settings:", error);
+      showToast('Failed to save column settings.', 'error');
+    }
+  }, [storeColumnPrefs, showToast]);
 
-      setFooterStatus(`Parsing ${file.name}...`);
-      updateProgress('Parsing Excel data (this may take a moment)...', 30);
-      await new Promise(resolve => setTimeout(resolve, 50));
-
-      const workbook = window.XLSX.read(arrayBuffer, { type: 'array', cellDates: true });
-      const workbookData = [];
-      workbook.SheetNames.forEach(sheetName => {
-        const sheet = workbook.Sheets[sheetName];
-        const rowsArray = window.XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "" });
-        if (rowsArray.length > 0) {
-          let headerRowIndex = 0;
-          while (headerRowIndex < rowsArray.length && rowsArray[headerRowIndex].every(cell => cell === "")) {
-            headerRowIndex++;
-          }
-          if (headerRowIndex >= rowsArray.length) {
-            workbookData.push({ sheetName, headers: [], data: [] }); return;
-          }
-          const headers = rowsArray[headerRowIndex].map(header => String(header || "").trim());
-          const data = rowsArray.slice(headerRowIndex + 1).map(rowArray => {
-            let rowData = {};
-            headers.forEach((header, index) => {
-              const rawValue = rowArray[index];
-              let stringValue = "";
-              if (rawValue instanceof Date) stringValue = !isNaN(rawValue) ? rawValue.toLocaleString() : "";
-              else if (rawValue !== null && rawValue !== undefined) stringValue = String(rawValue);
-              rowData[header] = stringValue;
-            });
-            return rowData;
-          });
-          workbookData.push({ sheetName, headers, data });
-        } else {
-          workbookData.push({ sheetName, headers: [], data: [] });
-        }
-      });
-      
-      if (!workbookData || workbookData.length === 0) throw new Error("Could not read workbook structure or file is empty.");
-      let sheetToProcess = workbookData.find(sheet => sheet.data && sheet.data.length > 0);
-      if (!sheetToProcess) throw new Error("No data found in any sheet.");
-      
-      const { sheetName, headers, data } = sheetToProcess;
-      const fileIdentifier = `${file.name}::${sheetName}`;
-
-      setFooterStatus(`Checking existing data for ${file.name}...`);
-      updateProgress('Checking for existing data...', 70);
-
-      const existingMeta = await currentDb[METADATA_STORE_NAME].get(fileIdentifier);
-      if (existingMeta) {
-        if (!window.confirm(`Data for "${file.name}" (Sheet: "${sheetName}") already exists. Overwrite?`)) {
-          throw new Error("Storage cancelled by user.");
-        }
-        await currentDb.transaction('rw', currentDb[STORE_NAME], currentDb[METADATA_STORE_NAME], async () => {
-            await currentDb[STORE_NAME].where('fileName').equals(fileIdentifier).delete();
-            await currentDb[METADATA_STORE_NAME].delete(fileIdentifier);
-        });
-      }
+  const saveSheetDetails = useCallback(async (fileIdentifier, details) => {
+    try {
+      await storeSheetDetails(fileIdentifier, details);
+    } catch (error) {
+      console.error("Error saving sheet details:", error);
+      showToast('Failed to save the name and tags.', 'error');
+    }
+  }, [storeSheetDetails, showToast]);
 
-      setFooterStatus(`Storing data from ${file.name}...`);
-      updateProgress('Storing data locally...', 80);
-      const dataToStore = data.map(row => ({
-        ...row,
-        fileName: fileIdentifier,
-        _searchableTokens: Object.values(row).flatMap(val => String(val || "").toLowerCase().split(/\s+/)).filter(Boolean)
-      }));
+  // --- Export ---
+  // Header order comes from the sheet's metadata; rows stored without metadata fall back to their own keys.
+  const getExportHeaders = useCallback((fileIdentifier, rows) => {
+    const meta = storedFiles.find(file => file.name === fileIdentifier);
+    if (meta && meta.headers && meta.headers.length > 0) return meta.headers;
+    return rows.length > 0 ? Object.keys(rows[0]).filter(k => !k.startsWith('_') && k !== 'id' && k !== 'fileName') : [];
+  }, [storedFiles]);
 
-      await currentDb.transaction('rw', currentDb[STORE_NAME], currentDb[METADATA_STORE_NAME], async () => {
-        await currentDb[METADATA_STORE_NAME].put({ fileName: fileIdentifier, headers: headers });
-        await currentDb[STORE_NAME].bulkPut(dataToStore);
-      });
+  const runExport = (groups, format, fileBaseName) => {
+    const rowCount = groups.reduce((sum, group) => sum + group.rows.length, 0);
+    try {
+      exportRowGroups(groups, format, fileBaseName);
+      showToast(`Exported ${rowCount.toLocaleString()} row(s) as ${format.toUpperCase()}.`, 'success');
+    } catch (error) {
+      console.error("Export error:", error);
+      showToast(`Export failed: ${error.message}`, 'error');
+    }
+  };
 
-      updateProgress('Complete!', 100);
-      showToast(`Data from "${file.name}" (Sheet: "${sheetName}") stored successfully!`, 'success');
-      setStatusMessage(`"${file.name}" (Sheet: "${sheetName}") processed.`);
-      await loadStoredFilesList();
+  // Every match for a file/sheet in rank order, for a grid sort and for export.
+  const loadSearchGroupRows = useCallback(
+    fileIdentifier => loadHitRows(getDb(), searchHits.filter(hit => hit.fileName === fileIdentifier)),
+    [searchHits]
+  );
 
+  // Exports every match for a file/sheet, not just the current page. Grid view passes its
+  // sort so the export follows it; otherwise rows keep their rank order.
+  const exportSearchGroup = async (fileIdentifier, sort, format) => {
+    const currentDb = getDb();
+    if (!currentDb) {
+      showToast('Database not available. Cannot export.', 'error');
+      return;
+    }
+    setFooterStatus(`Exporting matches from ${fileIdentifier}...`);
+    try {
+      const groupRows = sortRows(await loadSearchGroupRows(fileIdentifier), sort);
+      runExport([{ label: fileIdentifier.split('::')[1] || fileIdentifier, headers: getExportHeaders(fileIdentifier, groupRows), rows: groupRows }], format, `${toExportFileName(fileIdentifier)}_results`);
     } catch (error) {
-      console.error("Error processing file:", error);
-      showToast(`Error: ${error.message}`, 'error');
-      setStatusMessage(`Error: ${error.message}`);
-      setFooterStatus('Error processing file');
+      console.error("Error loading matches for export:", error);
+      showToast(`Failed to export matches from "${fileIdentifier}".`, 'error');
     } finally {
-      setFileInputKey(Date.now());
-      setTimeout(() => updateProgress('', 0, false), 2500);
-      const fStatus = footerStatus; // Capture current footerStatus
-      if (fStatus.startsWith('Reading') || fStatus.startsWith('Parsing') || fStatus.startsWith('Storing') || fStatus.startsWith('Checking')) {
-          setFooterStatus('Ready');
-      }
+      setFooterStatus('Ready');
     }
   };
 
-  // --- Search Functionality ---
-  const performSearch = useCallback(async (query) => {
+  const searchHitCounts = useMemo(() => searchHits.reduce((acc, hit) => {
+    acc[hit.fileName] = (acc[hit.fileName] || 0) + 1;
+    return acc;
+  }, {}), [searchHits]);
+  const searchResultGroupCount = Object.keys(searchHitCounts).length;
+
+  const exportAllSearchResults = async (format) => {
     const currentDb = getDb();
     if (!currentDb) {
-      showToast('Database not available. Search unavailable.', 'error');
-      setIsSearching(false);
-      setSearchStatus('Error: DB missing');
+      showToast('Database not available. Cannot export.', 'error');
       return;
     }
-    if (query.length === 0) {
-      setSearchResults([]);
-      setSearchStatus('');
-      if (footerStatus === 'Searching...') setFooterStatus('Ready');
-      setIsSearching(false);
-      return;
+    setFooterStatus('Exporting search results...');
+    try {
+      const rowsByFile = (await loadHitRows(currentDb, searchHits)).reduce((acc, row) => {
+        (acc[row.fileName] = acc[row.fileName] || []).push(row);
+        return acc;
+      }, {});
+      const groups = Object.entries(rowsByFile).map(([fileIdentifier, rows]) => ({
+        label: searchResultGroupCount === 1 ? (fileIdentifier.split('::')[1] || fileIdentifier) : fileIdentifier.replace('::', ' - '),
+        headers: getExportHeaders(fileIdentifier, rows),
+        rows
+      }));
+      runExport(groups, format, 'search_results');
+    } catch (error) {
+      console.error("Error loading search results for export:", error);
+      showToast('Failed to export search results.', 'error');
+    } finally {
+      setFooterStatus('Ready');
     }
+  };
 
-    setIsSearching(true);
-    setSearchStatus('Searching...');
-    setFooterStatus('Searching...');
-    const startTime = performance.now();
+  const exportStoredSheet = async (fileMeta, format) => {
+    const currentDb = getDb();
+    if (!currentDb) {
+      showToast('Database not available. Cannot export.', 'error');
+      return;
+    }
+    setFooterStatus(`Exporting ${fileMeta.name}...`);
+    try {
+      const rows = await sheetRowsCollection(currentDb, fileMeta.importId).toArray();
+      runExport([{ label: fileMeta.name.split('::')[1] || fileMeta.name, headers: getExportHeaders(fileMeta.name, rows), rows }], format, toExportFileName(fileMeta.name));
+    } catch (error) {
+      console.error("Error loading sheet for export:", error);
+      showToast(`Failed to export "${fileMeta.name}".`, 'error');
+    } finally {
+      setFooterStatus('Ready');
+    }
+  };
 
+  // --- Version History ---
+  const restoreVersion = async (fileIdentifier, entry) => {
+    const currentDb = getDb();
+    if (!currentDb) {
+      showToast('Database not available. Cannot restore.', 'error');
+      return;
+    }
+    setVersionAction(true);
+    setFooterStatus(`Restoring version ${entry.version} of ${fileIdentifier}...`);
     try {
-      const keywords = query.toLowerCase().split(/\s+/).filter(k => k.length > 0);
-      if (keywords.length === 0) {
-        setSearchResults([]);
-        setSearchStatus('');
-        if (footerStatus === 'Searching...') setFooterStatus('Ready');
-        setIsSearching(false);
-        return;
-      }
+      await restoreSheetVersion(currentDb, fileIdentifier, entry.importId);
+      showToast(`Version ${entry.version} of "${fileIdentifier}" is live again.`, 'success');
+      await loadStoredFilesList();
+    } catch (error) {
+      console.error("Error restoring version:", error);
+      showToast(`Failed to restore version: ${error.message}`, 'error');
+    } finally {
+      setVersionAction(false);
+      setFooterStatus('Ready');
+    }
+  };
 
-      const results = await currentDb[STORE_NAME]
-        .where('_searchableTokens')
-        .startsWithAnyOfIgnoreCase(keywords)
-        .limit(MAX_SEARCH_RESULTS * 5)
-        .toArray();
-
-      const filteredResults = results.filter(item => {
-        const itemTokens = item._searchableTokens.map(t => t.toLowerCase());
-        return keywords.every(kw => itemTokens.some(token => token.includes(kw)));
-      }).slice(0, MAX_SEARCH_RESULTS);
-
-      const endTime = performance.now();
-      const duration = (endTime - startTime).toFixed(1);
-      
-      setSearchResults(filteredResults);
-      setSearchStatus(`Found ${filteredResults.length} results in ${duration} ms.`);
+  const compareVersions = async (fileIdentifier, fromVersion, toVersion, keyColumns) => {
+    const currentDb = getDb();
+    if (!currentDb) {
+      showToast('Database not available. Cannot compare.', 'error');
+      return;
+    }
+    setVersionAction(true);
+    setFooterStatus(`Comparing versions of ${fileIdentifier}...`);
+    try {
+      const newerRows = await sheetRowsCollection(currentDb, toVersion.importId).toArray();
+      const diff = await computeSheetDiff(currentDb, {
+        importId: fromVersion.importId, storedHeaders: fromVersion.headers, headers: toVersion.headers, keyColumns,
+        rowCount: newerRows.length, getRows: async (start, count) => newerRows.slice(start, start + count)
+      });
+      setComparePreview({ fileIdentifier, keyColumns, diff, title: `Version ${fromVersion.version} → version ${toVersion.version}` });
     } catch (error) {
-      console.error("Search error:", error);
-      showToast("Error performing search.", 'error');
-      setSearchResults([]);
-      setSearchStatus('Search error.');
-      setFooterStatus('Error during search');
+      console.error("Error comparing versions:", error);
+      showToast(`Failed to compare versions: ${error.message}`, 'error');
     } finally {
-      setIsSearching(false);
-      if (footerStatus === 'Searching...') setFooterStatus('Ready');
+      setVersionAction(false);
+      setFooterStatus('Ready');
     }
-  }, [showToast, footerStatus]);
+  };
 
-  useEffect(() => {
+  const pruneVersions = async (fileIdentifier) => {
     const currentDb = getDb();
-    if (!currentDb && searchTerm) {
-        showToast('Database not ready. Search is unavailable.', 'error');
-        return;
+    if (!currentDb) {
+      showToast('Database not available. Cannot prune versions.', 'error');
+      return;
     }
-    if (!searchTerm && searchResults.length === 0 && searchStatus === '') return; 
-    
-    const handler = setTimeout(() => {
-      if (currentDb || !searchTerm) performSearch(searchTerm); // Only search if DB ready or term is empty
-    }, SEARCH_DEBOUNCE_MS);
+    const confirmed = await confirm({
+      title: 'Prune old versions',
+      message: `Delete all but the newest ${versionRetention} version(s) of "${fileIdentifier}"? This cannot be undone.`,
+      confirmLabel: 'Prune',
+      danger: true
+    });
+    if (!confirmed) return;
+    setVersionAction(true);
+    setFooterStatus(`Pruning versions of ${fileIdentifier}...`);
+    try {
+      const removed = await pruneSheetVersions(currentDb, fileIdentifier, versionRetention);
+      showToast(`Removed ${removed} old version(s) of "${fileIdentifier}".`, 'success');
+      await loadStoredFilesList();
+    } catch (error) {
+      console.error("Error pruning versions:", error);
+      showToast(`Failed to prune versions: ${error.message}`, 'error');
+    } finally {
+      setVersionAction(false);
+      setFooterStatus('Ready');
+    }
+  };
 
-    return () => clearTimeout(handler);
-  }, [searchTerm, performSearch, searchResults.length, searchStatus, showToast]);
+  // --- Backup & Restore ---
+  const createBackup = async () => {
+    const currentDb = getDb();
+    if (!currentDb) {
+      showToast('Database not available. Cannot back up.', 'error');
+      return;
+    }
+    if (!window.CompressionStream) {
+      showToast('This browser cannot create compressed backups.', 'error');
+      return;
+    }
+    setBackupTransfer('backup');
+    setFooterStatus('Creating backup...');
+    try {
+      const blob = await createBackupBlob(currentDb, (rowsRead, rowTotal) => {
+        const label = `Backing up... (${rowsRead.toLocaleString()} / ${rowTotal.toLocaleString()} rows)`;
+        setBackupProgress({ label, value: rowTotal ? Math.round((rowsRead / rowTotal) * 100) : 100, visible: true });
+      });
+      downloadBlob(blob, `excel-viewer-backup-${new Date().toISOString().slice(0, 10)}.ndjson.gz`);
+      showToast(`Backup saved (${formatBytes(blob.size)}).`, 'success');
+    } catch (error) {
+      console.error("Error creating backup:", error);
+      showToast(`Failed to create backup: ${error.message}`, 'error');
+    } finally {
+      setBackupTransfer(null);
+      setBackupProgress({ value: 0, label: '', visible: false });
+      setFooterStatus('Ready');
+    }
+  };
 
-  const handleSearchChange = (event) => {
-    setSearchTerm(event.target.value);
-    if (event.target.value) setSearchStatus('Typing...');
-    else {
-      setSearchStatus('');
-      setSearchResults([]);
+  // Validates the chosen file in full before offering to restore it.
+  const handleBackupFileSelected = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow choosing the same file again
+    const currentDb = getDb();
+    if (!file || !currentDb) return;
+    if (!window.DecompressionStream) {
+      showToast('This browser cannot read compressed backups.', 'error');
+      return;
+    }
+    setBackupTransfer('restore');
+    setFooterStatus(`Checking ${file.name}...`);
+    try {
+      const backup = await validateBackup(currentDb, file, (bytesRead, totalBytes) => {
+        setBackupProgress({ label: 'Checking backup...', value: totalBytes ? Math.round((bytesRead / totalBytes) * 100) : 100, visible: true });
+      });
+      setPendingRestore({ ...backup, file, fileName: file.name });
+    } catch (error) {
+      console.error("Error validating backup:", error);
+      showToast(`Cannot restore "${file.name}": ${error.message}`, 'error');
+      setBackupTransfer(null);
+    } finally {
+      setBackupProgress({ value: 0, label: '', visible: false });
+      setFooterStatus('Ready');
     }
   };
 
-  // --- Delete File Data ---
-  const deleteFileData = async (fileIdentifierToDelete) => {
+  const confirmRestore = async (mode) => {
+    const backup = pendingRestore;
+    setPendingRestore(null);
     const currentDb = getDb();
     if (!currentDb) {
-      showToast('Database not available. Cannot delete data.', 'error');
+      setBackupTransfer(null);
       return;
     }
-    if (!window.confirm(`Are you sure you want to delete all data from "${fileIdentifierToDelete}"? This cannot be undone.`)) return;
-    
-    const fStatus = footerStatus; // Capture before async
-    setFooterStatus(`Deleting ${fileIdentifierToDelete}...`);
+    setFooterStatus(`Restoring ${backup.fileName}...`);
     try {
-      await currentDb.transaction('rw', currentDb[STORE_NAME], currentDb[METADATA_STORE_NAME], async () => {
-        await currentDb[STORE_NAME].where('fileName').equals(fileIdentifierToDelete).delete();
-        await currentDb[METADATA_STORE_NAME].delete(fileIdentifierToDelete);
+      await restoreBackup(currentDb, backup.file, { mode, metas: backup.metas, rowCount: backup.rowCount }, (rowsWritten, rowCount) => {
+        const label = `Restoring... (${rowsWritten.toLocaleString()} / ${rowCount.toLocaleString()} rows)`;
+        setBackupProgress({ label, value: rowCount ? Math.round((rowsWritten / rowCount) * 100) : 100, visible: true });
       });
-      showToast(`Data for "${fileIdentifierToDelete}" deleted successfully.`, 'success');
+      showToast(`Restored ${backup.metas.length} sheet(s) from "${backup.fileName}".`, 'success');
       await loadStoredFilesList();
-      if (searchResults.some(res => res.fileName === fileIdentifierToDelete)) performSearch(searchTerm); 
+      await loadImportJobs();
     } catch (error) {
-      console.error("Error deleting file data:", error);
-      showToast(`Failed to delete data for "${fileIdentifierToDelete}".`, 'error');
-      setFooterStatus('Error deleting file');
+      console.error("Error restoring backup:", error);
+      showToast(`Failed to restore backup: ${error.message}`, 'error');
     } finally {
-        if (fStatus.startsWith('Deleting') || footerStatus.startsWith('Deleting')) setFooterStatus('Ready');
+      setBackupTransfer(null);
+      setBackupProgress({ value: 0, label: '', visible: false });
+      setFooterStatus('Ready');
     }
   };
 
+  const cancelRestore = () => {
+    setPendingRestore(null);
+    setBackupTransfer(null);
+  };
+
   // --- Memoized Values ---
   const displayedSearchResults = useMemo(() => {
     if (searchResults.length === 0) return [];
+    // Groups appear in the order of their best-ranked match on this page.
     const resultsByFile = searchResults.reduce((acc, row) => {
       const fName = row.fileName;
       if (!acc[fName]) acc[fName] = { rows: [], headers: [] };
@@ -441,6 +2999,41 @@ function App() {
     return Object.entries(resultsByFile);
   }, [searchResults, storedFiles]);
 
+  const searchPageCount = Math.ceil(searchHits.length / SEARCH_PAGE_SIZE);
+
+  // Card view notes which cells a fuzzy match came from, keyed by row id.
+  const fuzzyMatchesByRow = useMemo(() => {
+    if (Object.keys(searchFuzzyVariants).length === 0) return {};
+    return displayedSearchResults.reduce((acc, [, { rows, headers }]) => {
+      rows.forEach(row => {
+        const matches = describeFuzzyMatches(row, headers, searchFuzzyVariants);
+        if (matches.length > 0) acc[row.id] = matches;
+      });
+      return acc;
+    }, {});
+  }, [displayedSearchResults, searchFuzzyVariants]);
+
+  // The viewer closes on its own if its sheet is deleted.
+  const viewingSheet = useMemo(() => {
+    const file = viewingFile && storedFiles.find(candidate => candidate.name === viewingFile.name);
+    if (!file) return null;
+    const entry = viewingFile.importId && file.versions.find(candidate => candidate.importId === viewingFile.importId);
+    if (viewingFile.importId && !entry) return null; // Pruned while open
+    const isLive = !entry || entry.importId === file.importId;
+    return {
+      fileIdentifier: file.name,
+      importId: isLive ? file.importId : entry.importId,
+      headers: (isLive ? file.headers : entry.headers) || [],
+      versionLabel: isLive ? (file.versions.length > 1 ? 'Live version' : '') : `Version ${entry.version}`
+    };
+  }, [storedFiles, viewingFile]);
+  const storedFileRows = useMemo(() => storedFiles.map(file => {
+    const details = sheetDetailsByFile[file.name] || { displayName: '', tags: [] };
+    return { ...file, ...details, label: details.displayName || file.name.replace('::', ' - ') };
+  }), [storedFiles, sheetDetailsByFile]);
+  const summaryFileMeta = useMemo(() => storedFileRows.find(file => file.name === summaryFile) || null, [storedFileRows, summaryFile]);
+  const versionsFileMeta = useMemo(() => storedFiles.find(file => file.name === versionsFile) || null, [storedFiles, versionsFile]);
+
 
   // --- Render Logic ---
   return (
@@ -459,31 +3052,87 @@ function App() {
       <main className="container mx-auto px-4 py-6 sm:px-6 lg:px-8 flex-grow">
         <section className="mb-6 bg-white p-4 sm:p-6 rounded-lg shadow">
           <label htmlFor="searchBox" className="block text-sm font-medium text-gray-700 mb-2">Search Data</label>
-          <div className="relative">
-            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-              <Icon icon={Search} size={20} className="text-gray-400" />
+          <div className="flex items-center gap-3">
+            <div className="relative flex-grow">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Icon icon={Search} size={20} className="text-gray-400" />
+              </div>
+              <input
+                type="text" id="searchBox" value={searchTerm} onChange={handleSearchChange}
+                onKeyDown={handleSearchKeyDown} onBlur={() => recordRecentSearch(currentSearch)}
+                placeholder='Type keywords, e.g. status:open region:"north east" amount>500 -cancelled'
+                title='Column terms (status:open, amount>=500, date<2024-01-31, name="Jane Doe"), "quoted phrases", -negation and (a OR b) groups'
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-emerald-500 focus:border-emerald-500 shadow-sm text-sm"
+                disabled={!dbReady} // Disable if DB is not ready
+              />
             </div>
-            <input
-              type="text" id="searchBox" value={searchTerm} onChange={handleSearchChange}
-              placeholder="Type keywords to search..."
-              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-emerald-500 focus:border-emerald-500 shadow-sm text-sm"
-              disabled={!dbReady} // Disable if DB is not ready
+            <label className="flex items-center text-sm text-gray-600 flex-shrink-0 cursor-pointer" title="Also match words with a typo or two (exact matches still come first)">
+              <input type="checkbox" className="mr-1.5 accent-emerald-600" checked={fuzzySearch} onChange={toggleFuzzySearch} disabled={!dbReady} />
+              Fuzzy
+            </label>
+            <SavedSearchesMenu
+              saved={savedSearches} recent={recentSearches} canSave={Boolean(currentSearch.query)}
+              onSave={saveCurrentSearch} onRun={runSavedSearch} onDelete={deleteSavedSearch}
+              onClearRecent={clearRecentSearches} onCopyLink={copySearchLink}
             />
           </div>
           <p className="text-xs text-gray-500 mt-1 h-4">
             {isSearching && <Loader2 className="inline-block animate-spin h-3 w-3 mr-1" />}
-            {searchStatus}
+            <span className={searchStatus.startsWith('Invalid query') ? 'text-red-500' : ''}>{searchStatus}</span>
             {!dbReady && !isLoadingFiles && <span className="text-red-500">Database not available.</span>}
           </p>
+          {dbReady && storedFiles.length > 0 && (
+            <SearchScopeBar files={storedFileRows} scope={activeSearchScope} columnOptions={scopeColumnOptions} onChange={changeSearchScope} />
+          )}
         </section>
 
         <section className="mb-6">
-          <h2 className="text-lg font-semibold text-gray-800 mb-2">Results</h2>
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-lg font-semibold text-gray-800">Results</h2>
+            <div className="flex items-center gap-2">
+              {resultsView === 'cards' && (
+                <label className="flex items-center text-sm text-gray-600 cursor-pointer" title="Collapse each result to the columns that matched">
+                  <input type="checkbox" className="mr-1.5 accent-emerald-600" checked={matchedColumnsOnly} onChange={toggleMatchedColumnsOnly} />
+                  Matched columns only
+                </label>
+              )}
+              <ExportMenu
+                label="Export all" disabled={searchHits.length === 0} onExport={exportAllSearchResults}
+                formats={searchResultGroupCount > 1 ? EXPORT_FORMATS.filter(format => format.id !== 'csv') : EXPORT_FORMATS}
+              />
+              <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm" role="group" aria-label="Results view">
+                <button
+                  onClick={() => changeResultsView('cards')}
+                  className={`flex items-center px-3 py-1 ${resultsView === 'cards' ? 'bg-emerald-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                >
+                  <Icon icon={List} size={14} className="mr-1" /> Cards
+                </button>
+                <button
+                  onClick={() => changeResultsView('grid')}
+                  className={`flex items-center px-3 py-1 border-l border-gray-300 ${resultsView === 'grid' ? 'bg-emerald-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                >
+                  <Icon icon={Table} size={14} className="mr-1" /> Grid
+                </button>
+              </div>
+            </div>
+          </div>
           <div 
             id="resultsArea" 
             className="bg-white p-3 sm:p-4 rounded-lg shadow min-h-[200px] max-h-[60vh] overflow-y-auto"
             style={{ WebkitOverflowScrolling: 'touch' }}
           >
+            {dbReady && searchPageCount > 1 && (
+              <div className="flex items-center justify-between text-xs text-gray-500 mb-2">
+                <span>
+                  Matches {(searchPage * SEARCH_PAGE_SIZE + 1).toLocaleString()}–{Math.min((searchPage + 1) * SEARCH_PAGE_SIZE, searchHits.length).toLocaleString()} of {searchHits.length.toLocaleString()}, best first
+                </span>
+                <div className="flex items-center gap-1">
+                  <button onClick={() => setSearchPage(page => page - 1)} disabled={searchPage === 0} className="px-2 py-1 rounded-md border border-gray-300 disabled:opacity-40">Previous</button>
+                  <span className="px-1">Page {searchPage + 1} of {searchPageCount}</span>
+                  <button onClick={() => setSearchPage(page => page + 1)} disabled={searchPage + 1 >= searchPageCount} className="px-2 py-1 rounded-md border border-gray-300 disabled:opacity-40">Next</button>
+                </div>
+              </div>
+            )}
             {!dbReady && !isLoadingFiles && (
                 <p className="text-center text-red-500 italic mt-4">Database not available. Cannot display results or search.</p>
             )}
@@ -496,20 +3145,28 @@ function App() {
             {dbReady && !searchTerm && storedFiles.length === 0 && displayedSearchResults.length === 0 && (
               <p className="text-center text-gray-500 italic mt-4">Upload a file.</p>
             )}
-            {dbReady && displayedSearchResults.map(([fileIdentifier, { rows, headers }]) => (
+            {dbReady && resultsView === 'grid' && displayedSearchResults.map(([fileIdentifier, { rows, headers }]) => (
+              <ResultsGrid
+                key={fileIdentifier} fileIdentifier={fileIdentifier} displayName={(sheetDetailsByFile[fileIdentifier] || {}).displayName} rows={rows} headers={headers}
+                matchCount={searchHitCounts[fileIdentifier] || rows.length}
+                columnPrefs={columnPrefsByFile[fileIdentifier]} onSaveColumnPrefs={saveColumnPrefs}
+                onExport={exportSearchGroup} loadAllRows={loadSearchGroupRows}
+              />
+            ))}
+            {dbReady && resultsView === 'cards' && displayedSearchResults.map(([fileIdentifier, { rows, headers }]) => (
               <div key={fileIdentifier} className="mb-4">
+                <div className="flex items-center justify-between border-b border-gray-200 pb-1 mb-1">
+                  <h3 className="text-sm font-semibold text-gray-700 truncate" title={fileIdentifier}>
+                    {(sheetDetailsByFile[fileIdentifier] || {}).displayName || fileIdentifier.split('::')[0]} <span className="text-xs font-normal text-gray-500">({fileIdentifier.split('::')[1]})</span>
+                  </h3>
+                  <ExportMenu onExport={format => exportSearchGroup(fileIdentifier, null, format)} />
+                </div>
                 {rows.map((row, rowIndex) => (
-                  <div key={row.id || rowIndex} className="result-row-react">
-                    {headers.map((header, cellIndex) => (
-                      <div key={cellIndex} className="result-cell-react">
-                        <strong className="text-emerald-700 mr-1.5 font-semibold">{header}:</strong>
-                        <span>{String(row[header] || '')}</span>
-                      </div>
-                    ))}
-                     <div className="result-cell-react text-xs text-gray-400 italic text-right" style={{minWidth: 'fit-content', flexBasis: '100%', marginTop: '0.25rem', backgroundColor: 'transparent', boxShadow: 'none'}}>
-                        ({fileIdentifier.split('::')[0]} - {fileIdentifier.split('::')[1]})
-                    </div>
-                  </div>
+                  <ResultCard
+                    key={row.id || rowIndex} row={row} fileIdentifier={fileIdentifier}
+                    columns={getVisibleColumns(headers, columnPrefsByFile[fileIdentifier])}
+                    highlight={searchHighlight} matchedOnly={matchedColumnsOnly} fuzzyMatches={fuzzyMatchesByRow[row.id]}
+                  />
                 ))}
               </div>
             ))}
@@ -520,18 +3177,75 @@ function App() {
           <h2 className="text-lg font-semibold text-gray-800 mb-3">Upload New File</h2>
           <div className="flex flex-col sm:flex-row sm:items-end gap-4">
             <div className="flex-grow">
-              <label htmlFor="fileInput" className="block text-sm font-medium text-gray-700 mb-1">Choose Excel File (.xlsx, .xls)</label>
+              <label htmlFor="fileInput" className="block text-sm font-medium text-gray-700 mb-1">Choose File (.xlsx, .xls, .ods, .csv, .tsv, .json)</label>
               <input
-                key={fileInputKey} type="file" id="fileInput"
-                accept=".xlsx, .xls, application/vnd.openxmlformats-officedocument.spreadsheetml.sheet, application/vnd.ms-excel"
+                key={fileInputKey} ref={fileInputRef} type="file" id="fileInput"
+                accept=".xlsx, .xls, .ods, .csv, .tsv, .json, application/vnd.openxmlformats-officedocument.spreadsheetml.sheet, application/vnd.ms-excel, application/vnd.oasis.opendocument.spreadsheet, text/csv, text/tab-separated-values, application/json"
                 onChange={handleFileUpload}
                 className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-emerald-50 file:text-emerald-700 hover:file:bg-emerald-100 cursor-pointer border border-gray-300 rounded-md p-1"
-                disabled={!dbReady} // Disable if DB is not ready
+                disabled={!dbReady || isImporting || !!backupTransfer} // Disable if DB is not ready or an import or backup is in progress
               />
-              <p className="text-xs text-gray-500 mt-1">Max file size: {MAX_FILE_SIZE / 1024 / 1024} MB</p>
+              <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                <label htmlFor="maxFileSize">Max file size:</label>
+                <input
+                  type="number" id="maxFileSize" min="1" step="1" value={maxFileSizeMb} onChange={handleMaxFileSizeChange}
+                  className="w-20 px-1 py-0.5 border border-gray-300 rounded text-xs"
+                  disabled={isImporting}
+                  title="Larger files take longer to import; the whole file, and the cells of one sheet at a time, are held in memory while it is read"
+                />
+                MB
+                <label htmlFor="versionRetention" className="ml-3">Keep versions:</label>
+                <input
+                  type="number" id="versionRetention" min="1" step="1" value={versionRetention} onChange={handleVersionRetentionChange}
+                  className="w-16 px-1 py-0.5 border border-gray-300 rounded text-xs"
+                  disabled={isImporting}
+                  title="Earlier imports of a sheet kept for viewing, comparing and restoring (including the live one)"
+                />
+              </p>
             </div>
           </div>
+          {resumeJob && (
+            <div className="mt-3 flex items-center justify-between text-sm bg-amber-50 border border-amber-200 rounded-md px-3 py-2">
+              <span className="text-amber-800">
+                Resuming <strong>{resumeJob.sourceName}</strong> ({resumeJob.sheetName}): select the same file to continue.
+              </span>
+              <button onClick={cancelResume} className="ml-3 text-amber-700 hover:underline">Cancel</button>
+            </div>
+          )}
+          {interruptedJobs.length > 0 && (
+            <div className="mt-4 border border-amber-200 rounded-md">
+              <h3 className="text-sm font-semibold text-amber-800 bg-amber-50 px-3 py-2 rounded-t-md flex items-center">
+                <Icon icon={AlertCircle} size={16} className="mr-1.5" />
+                Interrupted imports
+              </h3>
+              {interruptedJobs.map(job => (
+                <div key={job.jobId} className="file-item-react text-sm">
+                  <span className="truncate" title={job.fileName}>
+                    {job.sourceName} <span className="text-xs text-gray-500">({job.sheetName})</span>
+                    <span className="block text-xs text-gray-500">
+                      {job.rowsWritten.toLocaleString()} / {job.totalRows.toLocaleString()} rows stored, started {new Date(job.startedAt).toLocaleString()}
+                    </span>
+                  </span>
+                  <span className="flex gap-2 flex-shrink-0">
+                    <button onClick={() => startResume(job)} disabled={isImporting} className="px-2 py-1 text-xs rounded-md bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50">Resume</button>
+                    <button onClick={() => handleRollbackJob(job)} disabled={isImporting} className="px-2 py-1 text-xs rounded-md border border-red-300 text-red-600 hover:bg-red-50 disabled:opacity-50">Roll back</button>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
           <ProgressBarComponent value={progress.value} label={progress.label} visible={progress.visible} />
+          {isImporting && !pendingImport && (
+            <div className="mt-2 flex justify-end">
+              <button
+                onClick={cancelImport}
+                className="flex items-center px-3 py-1.5 text-sm rounded-md border border-red-300 text-red-600 hover:bg-red-50"
+              >
+                <Icon icon={XCircle} size={16} className="mr-1.5" />
+                Cancel import
+              </button>
+            </div>
+          )}
           <div className="mt-3 h-5">
             <p className="text-sm text-center font-medium">
                 {progress.visible && progress.value === 100 && progress.label === 'Complete!' ? (
@@ -546,31 +3260,61 @@ function App() {
         </section>
 
         <section className="mb-6 bg-white p-4 sm:p-6 rounded-lg shadow">
-          <h2 className="text-lg font-semibold text-gray-800 mb-3">Stored File Data</h2>
-          <div className="border border-gray-200 rounded-md">
-            <div className="max-h-60 overflow-y-auto">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-lg font-semibold text-gray-800">Stored File Data</h2>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setJoinOpen(true)} disabled={!dbReady || storedFiles.length < 2}
+                className="flex items-center px-3 py-1.5 text-xs rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                title="Match the rows of two stored sheets on a key column"
+              >
+                <Icon icon={Table} size={14} className="mr-1" />
+                Join sheets
+              </button>
+              <button
+                onClick={createBackup} disabled={!dbReady || isImporting || !!backupTransfer || storedFiles.length === 0}
+                className="flex items-center px-3 py-1.5 text-xs rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                title="Download every stored sheet, with its versions, as one compressed file"
+              >
+                <Icon icon={Download} size={14} className="mr-1" />
+                Back up
+              </button>
+              <button
+                onClick={() => backupInputRef.current && backupInputRef.current.click()} disabled={!dbReady || isImporting || !!backupTransfer}
+                className="flex items-center px-3 py-1.5 text-xs rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                title="Load sheets from a backup file"
+              >
+                <Icon icon={UploadCloud} size={14} className="mr-1" />
+                Restore...
+              </button>
+              <input ref={backupInputRef} type="file" accept=".gz,application/gzip" onChange={handleBackupFileSelected} className="hidden" />
+            </div>
+          </div>
+          <ProgressBarComponent value={backupProgress.value} label={backupProgress.label} visible={backupProgress.visible} />
+          {dbReady && !isLoadingFiles && storedFiles.length > 0 ? (
+            <StoredFilesTable
+              files={storedFileRows} disabled={!dbReady || !!backupTransfer}
+              onView={name => setViewingFile({ name })}
+              onSummarize={setSummaryFile}
+              onVersions={setVersionsFile}
+              onExport={exportStoredSheet}
+              onDelete={deleteFileData}
+              onSaveDetails={saveSheetDetails}
+            />
+          ) : (
+            <div className="border border-gray-200 rounded-md">
               {!dbReady && !isLoadingFiles && (
                   <div className="file-item-react text-gray-500 italic p-3 text-center">Database not available.</div>
               )}
               {dbReady && isLoadingFiles && (
                 <div className="file-item-react text-gray-500 italic p-3 text-center">Loading files...</div>
               )}
-              {dbReady && !isLoadingFiles && storedFiles.length === 0 && (
+              {dbReady && !isLoadingFiles && (
                 <div className="file-item-react text-gray-500 italic p-3 text-center">No files stored.</div>
               )}
-              {dbReady && !isLoadingFiles && storedFiles.map((fileMeta, index) => (
-                  <div key={index} className="file-item-react">
-                    <span className="truncate" title={fileMeta.name}>
-                      <Icon icon={FileSpreadsheet} size={18} className="inline mr-2 text-emerald-600" />
-                      {fileMeta.name.split('::')[0]} <span className="text-xs text-gray-500">({fileMeta.name.split('::')[1]})</span>
-                    </span>
-                    <button onClick={() => deleteFileData(fileMeta.name)} title={`Delete ${fileMeta.name}`} className="delete-button-react" disabled={!dbReady}>
-                      <Icon icon={Trash2} size={18} />
-                    </button>
-                  </div>
-              ))}
             </div>
-          </div>
+          )}
+          <StorageGauge estimate={storageEstimate} />
         </section>
       </main>
 
@@ -579,10 +3323,61 @@ function App() {
         <p className="text-xs mt-1">App Status: <span>{footerStatus}</span></p>
       </footer>
 
+      {versionsFileMeta && (
+        <VersionHistoryModal
+          key={versionsFileMeta.name} file={versionsFileMeta} retention={versionRetention} busy={versionAction}
+          onView={entry => setViewingFile({ name: versionsFileMeta.name, importId: entry.importId })}
+          onRestore={entry => restoreVersion(versionsFileMeta.name, entry)}
+          onCompare={(fromVersion, toVersion, keyColumns) => compareVersions(versionsFileMeta.name, fromVersion, toVersion, keyColumns)}
+          onPrune={() => pruneVersions(versionsFileMeta.name)}
+          onClose={() => setVersionsFile(null)}
+        />
+      )}
+      {viewingSheet && (
+        <SheetViewer
+          key={`${viewingSheet.fileIdentifier}:${viewingSheet.importId}`}
+          fileIdentifier={viewingSheet.fileIdentifier} displayName={(sheetDetailsByFile[viewingSheet.fileIdentifier] || {}).displayName}
+          headers={viewingSheet.headers} importId={viewingSheet.importId}
+          versionLabel={viewingSheet.versionLabel}
+          columnPrefs={columnPrefsByFile[viewingSheet.fileIdentifier]} onSaveColumnPrefs={saveColumnPrefs}
+          onClose={() => setViewingFile(null)}
+        />
+      )}
+      <MergePreviewModal preview={comparePreview} onSkip={() => setComparePreview(null)} />
+      {summaryFileMeta && (
+        <SheetSummary key={`${summaryFileMeta.name}:${summaryFileMeta.importId}`} file={summaryFileMeta} onExport={runExport} onClose={() => setSummaryFile(null)} />
+      )}
+      {joinOpen && <JoinView files={storedFileRows} onExport={runExport} onClose={() => setJoinOpen(false)} />}
+      <RestoreBackupModal
+        backup={pendingRestore} storedFileNames={storedFiles.map(file => file.name)}
+        onConfirm={confirmRestore} onCancel={cancelRestore}
+      />
+
+      <TextImportPreview
+        preview={textImportPreview}
+        onChange={updateTextImportPreview}
+        onConfirm={confirmTextImport}
+        onCancel={cancelImport}
+      />
+      <MergePreviewModal
+        preview={mergePreview}
+        onApply={() => mergeDecisionRef.current && mergeDecisionRef.current(true)}
+        onSkip={() => mergeDecisionRef.current && mergeDecisionRef.current(false)}
+      />
+      <SheetPickerModal
+        pendingImport={pendingImport}
+        onToggle={toggleSheetSelection}
+        onHeaderChange={changeSheetHeaders}
+        onUpdateSheet={updatePendingSheet}
+        onConfirm={importSelectedSheets}
+        onCancel={cancelImport}
+      />
+      <ConfirmDialog request={confirmRequest} onAnswer={settleConfirm} />
+
       <Toast message={toast.message} type={toast.type} onClose={() => setToast(prev => ({ ...prev, message: '' }))} />
 
       <style jsx global>{`
-        body { font-family: 'Inter', sans-serif; }
+        body { font-family: 'Inter', system-ui, -apple-system, 'Segoe UI', sans-serif; }
         .result-row-react { border-bottom: 1px solid #e5e7eb; padding: 0.75rem 0.5rem; font-size: 0.9em; display: flex; flex-wrap: wrap; gap: 0.5rem; }
         .result-row-react:last-child { border-bottom: none; }
         .result-cell-react { padding: 0.25rem 0.5rem; flex: 1; min-width: 150px; word-break: break-word; background-color: #ffffff; border-radius: 0.375rem; box-shadow: 0 1px 2px 0 rgb(0 0 0 / 0.05); }
@@ -597,6 +3392,13 @@ function App() {
         .delete-button-react:hover { color: #dc2626; }
         .delete-button-react:disabled { color: #9ca3af; cursor: not-allowed; }
         input:disabled { background-color: #f3f4f6; cursor: not-allowed; }
+        .grid-table-react { table-layout: fixed; border-collapse: separate; border-spacing: 0; font-size: 0.85em; }
+        .grid-table-react th { position: sticky; top: 0; z-index: 1; background-color: #ecfdf5; color: #047857; font-weight: 600; text-align: left; border-bottom: 1px solid #a7f3d0; }
+        .grid-table-react th, .grid-table-react td { padding: 0 0.5rem; height: 32px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; border-right: 1px solid #f3f4f6; }
+        .grid-table-react td { border-bottom: 1px solid #f3f4f6; }
+        .grid-table-react .grid-filter-row-react th { top: 32px; background-color: #f9fafb; border-bottom: 1px solid #e5e7eb; padding: 0 0.25rem; }
+        .grid-table-react .grid-rownum-react { color: #9ca3af; text-align: right; background-color: #f9fafb; }
+        .grid-table-react tbody tr:hover td { background-color: #f9fafb; }
       `}</style>
     </div>
   );
@@ -605,19 +3407,13 @@ function App() {
 export default App;
 
 // To use this React App:
-// 1. Ensure React and ReactDOM are in your project.
-// 2. Set up Tailwind CSS OR include the Tailwind CDN: <script src="https://cdn.tailwindcss.com"></script>
-// 3. Include Dexie.js and SheetJS (xlsx) via CDN BEFORE your React bundle:
-//    <script src="https://unpkg.com/dexie@4.0.1/dist/dexie.js"></script>
-//    <script src="https://cdn.sheetjs.com/xlsx-0.20.2/package/dist/xlsx.full.min.js"></script>
-// 4. Have a root element in HTML: <div id="root"></div>
-// 5. Render the App:
-//    import React from 'react';
-//    import ReactDOM from 'react-dom/client'; // For React 18+
-//    import App from './App'; // Assuming this code is in App.js
-//    const root = ReactDOM.createRoot(document.getElementById('root'));
-//    root.render(<React.StrictMode><App /></React.StrictMode>);
-// 6. Ensure 'Inter' font is available (e.g., Google Fonts):
-//    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
-
-
+//   npm install
+//   npm run dev       serves it with hot reload
+//   npm run build     bundles it into dist/: index.html (the entry, linking the manifest) loads
+//                     main.jsx, which renders this App with Tailwind and the Inter font compiled in.
+//                     Dexie, SheetJS and the parse worker (core/parseWorker.js) are bundled too,
+//                     so nothing is loaded from a CDN.
+//   npm test          runs the core/ tests in Node against fake-indexeddb
+// Serve dist/ as static files. Its sw.js precaches the whole build for offline use, and
+// manifest.webmanifest (from public/) makes it installable and able to open or receive shared spreadsheets.
+// core/ has no UI code, so scripts can use it directly: createExcelStore({ Dexie, XLSX }).
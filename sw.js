@@ -0,0 +1,81 @@
+// --- Service Worker ---
+// Keeps the app usable offline. The build (see vite.config.js) prepends self.__PRECACHE_MANIFEST:
+// { version, urls } listing every file of that build. They are all cached on install, under a
+// cache named after the version, and activating a new build drops the older caches. Pages are
+// fetched from the network first so updates show up as soon as there is a connection.
+// Files shared to the installed app (the manifest's share_target) arrive here as a POST; they are
+// kept in SHARED_FILES_CACHE and the app is reopened with SHARED_FILES_PARAM, which makes it
+// import them. Both names must match the Offline Support section of rty.jsx.
+const PRECACHE = self.__PRECACHE_MANIFEST || { version: 'dev', urls: ['./'] };
+const SHELL_CACHE = `excel-viewer-shell-${PRECACHE.version}`;
+const SHARED_FILES_CACHE = 'excel-viewer-shared-files';
+const SHARED_FILES_PARAM = 'shared-files';
+
+const scopeUrl = path => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE.urls)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  // Caches of older shell versions are dropped; shared files not yet imported are kept.
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names
+      .filter(name => name !== SHELL_CACHE && name !== SHARED_FILES_CACHE)
+      .map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+const receiveSharedFiles = async (request) => {
+  const formData = await request.formData();
+  const files = formData.getAll('files').filter(file => file instanceof File);
+  const cache = await caches.open(SHARED_FILES_CACHE);
+  const receivedAt = Date.now();
+  await Promise.all(files.map((file, index) => cache.put(
+    scopeUrl(`shared-files/${receivedAt}-${index}`),
+    new Response(file, {
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        'X-File-Name': encodeURIComponent(file.name),
+        'X-Last-Modified': String(file.lastModified)
+      }
+    })
+  )));
+  return Response.redirect(scopeUrl(`./?${SHARED_FILES_PARAM}=1`), 303);
+};
+
+// The app is a single page, so every navigation is stored as, and falls back to, the start page.
+const networkFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(scopeUrl('./'), response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(scopeUrl('./'));
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Built files have hashed names, so a cached copy never goes stale.
+const cacheFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (request.method === 'POST' && url.href === scopeUrl('share-target')) {
+    event.respondWith(receiveSharedFiles(request));
+    return;
+  }
+  if (request.method !== 'GET') return;
+  event.respondWith(request.mode === 'navigate' ? networkFirst(request) : cacheFirst(request));
+});
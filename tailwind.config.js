@@ -0,0 +1,11 @@
+// Tailwind scans the app's sources for the classes it uses; everything else is left out of the build.
+export default {
+  content: ['./index.html', './main.jsx', './rty.jsx'],
+  theme: {
+    extend: {
+      fontFamily: {
+        inter: ['Inter', 'system-ui', '-apple-system', '"Segoe UI"', 'sans-serif']
+      }
+    }
+  }
+};
@@ -0,0 +1,29 @@
+import { readFile } from 'node:fs/promises';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import Dexie from 'dexie';
+import * as XLSX from 'xlsx';
+import { createExcelStore } from '../core/index.js';
+
+// Options for a Dexie database in its own in-memory IndexedDB, so tests never share data.
+export const createDexieOptions = () => ({ indexedDB: new IDBFactory(), IDBKeyRange });
+
+export const createTestStore = (options = {}) => createExcelStore({ Dexie, XLSX, dexieOptions: createDexieOptions(), ...options });
+
+// A file from test/fixtures, in the shape importFile takes.
+export const readFixture = async (name) => {
+  const data = await readFile(new URL(`./fixtures/${name}`, import.meta.url));
+  return { name, size: data.byteLength, buffer: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) };
+};
+
+// An .xlsx file built in memory; sheets maps sheet names to arrays of rows (headers first).
+export const workbookFile = (name, sheets) => {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([sheetName, rows]) => XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName));
+  const buffer = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+  return { name, size: buffer.byteLength, buffer };
+};
+
+export const searchOrders = async (store, query, options) => {
+  const result = await store.search(query, options);
+  return (await store.loadRows(result.hits)).map(row => row.Order || row.Name);
+};
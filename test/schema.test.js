@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Dexie from 'dexie';
+import { DB_NAME, STORE_NAME, METADATA_STORE_NAME, IMPORT_JOBS_STORE_NAME, SCHEMA_MIGRATIONS, openDatabase } from '../core/index.js';
+import { createDexieOptions } from './helpers.js';
+
+const SHEET = 'legacy.xlsx::Customers';
+
+// Writes a database as an older release left it: only the schema versions up to `version`.
+const seedDatabase = async (dexieOptions, version, seed) => {
+  const legacy = new Dexie(DB_NAME, dexieOptions);
+  SCHEMA_MIGRATIONS.filter(migration => migration.version <= version)
+    .forEach(migration => legacy.version(migration.version).stores(migration.stores || {}));
+  await legacy.open();
+  await seed(legacy);
+  legacy.close();
+};
+
+const openMigrated = async (dexieOptions) => {
+  const messages = [];
+  const db = openDatabase(Dexie, { dexieOptions, onMigrationProgress: message => messages.push(message) });
+  await db.open();
+  return { db, messages };
+};
+
+const indexNames = (db, storeName) => [...db.backendDB().transaction(storeName).objectStore(storeName).indexNames];
+
+describe('openDatabase migrations', () => {
+  it('upgrades a version 3 database to the current schema', async () => {
+    const dexieOptions = createDexieOptions();
+    await seedDatabase(dexieOptions, 3, async (legacy) => {
+      await legacy.table(METADATA_STORE_NAME).put({ fileName: SHEET, headers: ['Name', 'City', 'Total'] });
+      await legacy.table(STORE_NAME).bulkAdd([
+        { fileName: SHEET, Name: 'Café Olé', City: 'Berlin', Total: '1,234', _searchableTokens: ['stale'] },
+        { fileName: SHEET, Name: 'Bob', City: 'Paris Paris', Total: '7', _searchableTokens: ['stale'] }
+      ]);
+    });
+    const { db, messages } = await openMigrated(dexieOptions);
+
+    // Version 4: rows are indexed by import and import jobs get their own store.
+    assert.equal(db.verno, 6);
+    assert.ok(indexNames(db, STORE_NAME).includes('_importId'));
+    assert.deepEqual(indexNames(db, IMPORT_JOBS_STORE_NAME), ['fileName']);
+    assert.equal(await db.table(IMPORT_JOBS_STORE_NAME).count(), 0);
+
+    // Version 5: rows are re-tokenized and the sheet's totals are filled in.
+    const rows = await db.table(STORE_NAME).orderBy('id').toArray();
+    assert.deepEqual([...rows[0]._searchableTokens].sort(), ['1234', 'berlin', 'cafe', 'ole']);
+    assert.deepEqual(rows[1]._termFreqs, { paris: 2 });
+    assert.deepEqual(rows.map(row => row._tokenCount), [4, 4]);
+    const meta = await db.table(METADATA_STORE_NAME).get(SHEET);
+    assert.equal(meta.rowCount, 2);
+    assert.equal(meta.tokenCount, 8);
+
+    // Version 6: the sheet gets an importId, shared by its rows, and starts its version history.
+    assert.ok(meta.importId);
+    assert.ok(rows.every(row => row._importId === meta.importId));
+    assert.deepEqual(meta.versions, [{
+      version: 1, importId: meta.importId, importedAt: null, rowCount: 2, tokenCount: 8,
+      headers: ['Name', 'City', 'Total'], sourceName: 'legacy.xlsx', sourceSize: null
+    }]);
+
+    assert.deepEqual(messages, [
+      'Upgrading database to version 5 (re-indexing rows for ranked search)...',
+      'Database upgraded to version 5.',
+      'Upgrading database to version 6 (starting version history)...',
+      'Upgrading database to version 6 (starting version history)... sheet 1 of 1',
+      'Database upgraded to version 6.'
+    ]);
+    db.close();
+  });
+
+  it('counts the tokens of unfinished imports when upgrading a version 4 database', async () => {
+    const dexieOptions = createDexieOptions();
+    await seedDatabase(dexieOptions, 4, async (legacy) => {
+      await legacy.table(IMPORT_JOBS_STORE_NAME).put({ jobId: 'job-1', fileName: SHEET, totalRows: 3, rowsWritten: 1, status: 'writing' });
+      await legacy.table(STORE_NAME).add({ fileName: SHEET, _importId: 'job-1', Name: 'Ann Lee', _searchableTokens: [] });
+    });
+    const { db, messages } = await openMigrated(dexieOptions);
+    assert.equal((await db.table(IMPORT_JOBS_STORE_NAME).get('job-1')).tokensWritten, 2);
+    // The job's rows belong to no sheet yet, so version 6 leaves them alone.
+    assert.equal((await db.table(STORE_NAME).toArray())[0]._importId, 'job-1');
+    assert.equal(messages[0], 'Upgrading database to version 5 (re-indexing rows for ranked search)...');
+    db.close();
+  });
+
+  it('runs no upgrades when creating a new database', async () => {
+    const { db, messages } = await openMigrated(createDexieOptions());
+    assert.equal(db.verno, 6);
+    assert.deepEqual(messages, []);
+    db.close();
+  });
+});
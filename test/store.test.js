@@ -0,0 +1,231 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import { QuerySyntaxError, buildPivot, createInlineParser, importParsedSheets } from '../core/index.js';
+import { createTestStore, readFixture, workbookFile, searchOrders } from './helpers.js';
+
+const ORDERS = 'orders.xlsx::Orders';
+
+describe('createExcelStore', () => {
+  let store;
+  beforeEach(async () => {
+    store = createTestStore();
+    await store.importFile(await readFixture('orders.xlsx'));
+    await store.importFile(await readFixture('contacts.csv'));
+  });
+  afterEach(() => store.close());
+
+  describe('importFile', () => {
+    it('stores every sheet of a workbook with its headers and totals', async () => {
+      const sheets = await store.listSheets();
+      assert.deepEqual(sheets.map(sheet => sheet.name).sort(), ['contacts.csv::contacts', ORDERS, 'orders.xlsx::Regions']);
+      const orders = sheets.find(sheet => sheet.name === ORDERS);
+      assert.deepEqual(orders.headers, ['Order', 'Customer', 'Status', 'Amount', 'Notes']);
+      assert.equal(orders.rowCount, 4);
+      assert.ok(orders.tokenCount > 0);
+      assert.deepEqual(orders.versions.map(entry => entry.version), [1]);
+    });
+
+    it('reads a CSV file with quoted delimiters', async () => {
+      const rows = await store.loadSheetRows('contacts.csv::contacts');
+      assert.deepEqual(rows.map(row => row.Name), ['Alice Smith', 'Baker, Bob', 'Carol Jones']);
+    });
+
+    it('keeps a stored sheet when overwriting is declined', async () => {
+      const result = await store.importFile(await readFixture('orders.xlsx'), { confirmOverwrite: async () => false });
+      assert.deepEqual(result.skippedSheets, ['Orders', 'Regions']);
+      assert.equal((await store.listSheets()).find(sheet => sheet.name === ORDERS).versions.length, 1);
+    });
+
+    it('rolls back a cancelled import', async () => {
+      const result = await store.importFile(workbookFile('other.xlsx', { Data: [['A'], [1], [2]] }), { shouldCancel: () => true });
+      assert.equal(result.cancelled, true);
+      assert.equal((await store.listSheets()).some(sheet => sheet.name === 'other.xlsx::Data'), false);
+      assert.equal(await store.db.importJobsV2.count(), 0);
+    });
+
+    it('rolls back a resumed import that no longer matches its sheet', async () => {
+      const failed = await store.importFile(workbookFile('other.xlsx', { Data: [['A'], [1], [2]] }), {
+        onProgress: ({ phase, rowsDone }) => { if (phase === 'store' && rowsDone > 0) throw new Error('Interrupted'); }
+      });
+      const job = failed.interruptedJob;
+      assert.equal(job.rowsWritten, 2);
+
+      const changed = workbookFile('other.xlsx', { Data: [['A'], [1], [2], [3]] });
+      const parser = createInlineParser({ XLSX });
+      const sheets = await parser.parse(changed.buffer, { kind: 'workbook' });
+      const source = { name: changed.name, size: changed.size, lastModified: null, parseOptions: { kind: 'workbook' } };
+      const result = await importParsedSheets(store.db, parser, source, [{ ...sheets[0], resumeJob: job }]);
+      assert.match(result.error.message, /no longer matches/);
+      assert.equal(result.interruptedJob, null);
+      assert.equal(await store.db.importJobsV2.count(), 0);
+      assert.equal(await store.db.excelDataStoreV2.where('_importId').equals(job.jobId).count(), 0);
+    });
+  });
+
+  describe('search', () => {
+    it('ranks matches by BM25 score', async () => {
+      // A-1 mentions "rush" twice; A-3 once.
+      assert.deepEqual(await searchOrders(store, 'rush'), ['A-1', 'A-3']);
+      const { hits } = await store.search('rush');
+      assert.ok(hits[0].score > hits[1].score);
+    });
+
+    it('matches field terms and comparisons', async () => {
+      assert.deepEqual(await searchOrders(store, 'status:open amount>500'), ['A-1']);
+      assert.deepEqual((await searchOrders(store, 'city:berlin')).sort(), ['Alice Smith', 'Carol Jones']);
+      assert.deepEqual(await searchOrders(store, 'delivery -status:closed -status:pending'), ['A-1']);
+    });
+
+    it('limits the search to the scoped sheets', async () => {
+      assert.deepEqual(await searchOrders(store, 'smith', { scope: { sheets: ['contacts.csv::contacts'], columns: [] } }), ['Alice Smith']);
+    });
+
+    it('finds near misses when fuzzy matching is on', async () => {
+      const result = await store.search('smyth', { fuzzy: true });
+      assert.ok(result.hits.length > 0);
+      assert.ok(result.hits.every(hit => hit.fuzzy));
+    });
+
+    it('rejects invalid queries with QuerySyntaxError', async () => {
+      await assert.rejects(store.search('(rush'), QuerySyntaxError);
+      await assert.rejects(store.search('nosuchcolumn:1'), QuerySyntaxError);
+    });
+
+    it('returns null for a blank query', async () => {
+      assert.equal(await store.search('   '), null);
+    });
+  });
+
+  describe('merge', () => {
+    it('applies the reviewed diff on the key columns', async () => {
+      let reviewed = null;
+      const result = await store.importFile(workbookFile('orders.xlsx', {
+        Orders: [
+          ['Order', 'Customer', 'Status', 'Amount', 'Notes'],
+          ['A-1', 'Alice Smith', 'closed', 600, 'rush order rush delivery'],
+          ['A-2', 'Bob Baker', 'closed', 100, 'regular delivery'],
+          ['A-5', 'Gina Gray', 'open', 75, '']
+        ]
+      }), { importMode: 'merge', keyColumns: ['Order'], reviewMerge: async ({ diff }) => { reviewed = diff; return true; } });
+      assert.deepEqual(result.storedSheets, ['Orders']);
+      assert.deepEqual(reviewed.added.map(row => row.Order), ['A-5']);
+      assert.deepEqual(reviewed.removed.map(row => row.Order).sort(), ['A-3', 'A-4']);
+      assert.deepEqual(reviewed.changed.map(change => change.after.Order), ['A-1']);
+      assert.deepEqual((await store.loadSheetRows(ORDERS)).map(row => `${row.Order}:${row.Status}`).sort(), ['A-1:closed', 'A-2:closed', 'A-5:open']);
+      assert.deepEqual(await searchOrders(store, 'status:open', { scope: { sheets: [ORDERS], columns: [] } }), ['A-5']);
+    });
+
+    it('stores the merge as a new version and keeps the one before it', async () => {
+      const before = await store.loadSheetRows(ORDERS);
+      await store.importFile(workbookFile('orders.xlsx', {
+        Orders: [['Order', 'Customer', 'Status', 'Amount', 'Notes'], ['A-1', 'Alice Smith', 'closed', 600, ''], ['A-6', 'Hal Hill', 'open', 5, '']]
+      }), { importMode: 'merge', keyColumns: ['Order'] });
+      const sheet = (await store.listSheets()).find(candidate => candidate.name === ORDERS);
+      assert.deepEqual(sheet.versions.map(entry => [entry.version, entry.mergedFrom]), [[1, undefined], [2, 1]]);
+      assert.equal(sheet.importId, sheet.versions[1].importId);
+      assert.equal(sheet.rowCount, 2);
+      assert.ok(sheet.tokenCount > 0);
+      assert.equal(await store.db.importJobsV2.count(), 0);
+
+      await store.restoreVersion(ORDERS, sheet.versions[0].importId);
+      const restored = await store.loadSheetRows(ORDERS);
+      assert.deepEqual(restored.map(row => [row.Order, row.Status, row._rowNumber]), before.map(row => [row.Order, row.Status, row._rowNumber]));
+    });
+
+    it('copies unchanged rows into the merged version as they were', async () => {
+      const before = await store.loadSheetRows(ORDERS);
+      await store.importFile(workbookFile('orders.xlsx', {
+        Orders: [['Order', 'Customer', 'Status', 'Amount', 'Notes'], ...before.slice(0, 3).map(row => [row.Order, row.Customer, row.Status, Number(row.Amount), row.Notes])]
+      }), { importMode: 'merge', keyColumns: ['Order'] });
+      const merged = await store.loadSheetRows(ORDERS);
+      assert.deepEqual(merged.map(row => [row.Order, row._rowNumber]), before.slice(0, 3).map(row => [row.Order, row._rowNumber]));
+    });
+
+    it('leaves the sheet alone when the merge is declined', async () => {
+      const result = await store.importFile(workbookFile('orders.xlsx', { Orders: [['Order', 'Status'], ['A-1', 'closed']] }), {
+        importMode: 'merge', keyColumns: ['Order'], reviewMerge: async () => false
+      });
+      assert.deepEqual(result.skippedSheets, ['Orders']);
+      assert.equal((await store.loadSheetRows(ORDERS)).length, 4);
+    });
+  });
+
+  describe('versions', () => {
+    const importRevision = (revision) => store.importFile(workbookFile('orders.xlsx', {
+      Orders: [['Order', 'Revision'], ['A-1', revision]]
+    }), { sheetNames: ['Orders'] });
+    const versionsOf = async () => (await store.listSheets()).find(sheet => sheet.name === ORDERS);
+
+    it('keeps each import as a version that can be made live again', async () => {
+      await importRevision('second');
+      const sheet = await versionsOf();
+      assert.deepEqual(sheet.versions.map(entry => entry.version), [1, 2]);
+      await store.restoreVersion(ORDERS, sheet.versions[0].importId);
+      assert.equal((await store.loadSheetRows(ORDERS)).length, 4);
+      assert.deepEqual(await searchOrders(store, 'second'), []);
+      await assert.rejects(store.restoreVersion(ORDERS, 'missing'), /no longer stored/);
+    });
+
+    it('prunes old versions but keeps the live one', async () => {
+      await importRevision('second');
+      await importRevision('third');
+      const { versions } = await versionsOf();
+      await store.restoreVersion(ORDERS, versions[1].importId);
+      assert.equal(await store.pruneVersions(ORDERS, 1), 1);
+      const sheet = await versionsOf();
+      assert.deepEqual(sheet.versions.map(entry => entry.version), [2, 3]);
+      assert.equal(sheet.importId, versions[1].importId);
+      assert.equal(await store.db.excelDataStoreV2.where('_importId').equals(versions[0].importId).count(), 0);
+    });
+  });
+
+  describe('headers', () => {
+    it('renames a column that clashes with a stored row key without marking it as a repeat', async () => {
+      await store.importFile(workbookFile('keys.xlsx', { Data: [['id', 'Name', 'Name'], ['K-7', 'Ann', 'Lee']] }));
+      const sheet = (await store.listSheets()).find(candidate => candidate.name === 'keys.xlsx::Data');
+      assert.deepEqual(sheet.headers, ['id (column)', 'Name', 'Name (2)']);
+      const [row] = await store.loadSheetRows('keys.xlsx::Data');
+      assert.equal(row['id (column)'], 'K-7');
+      assert.equal(typeof row.id, 'number');
+    });
+
+    it('numbers reserved-name renames that are already taken', async () => {
+      await store.importFile(workbookFile('keys.xlsx', { Data: [['id', 'id (column)', 'fileName'], [1, 2, 3]] }));
+      const sheet = (await store.listSheets()).find(candidate => candidate.name === 'keys.xlsx::Data');
+      assert.deepEqual(sheet.headers, ['id (column 2)', 'id (column)', 'fileName (column)']);
+    });
+  });
+
+  describe('pivot', () => {
+    it('keeps column values apart from the row field, id and Total', async () => {
+      await store.importFile(workbookFile('pivot.xlsx', { Data: [['Region', 'Kind'], ['North', 'Total'], ['North', 'id'], ['South', 'Region'], ['South', 'Total']] }));
+      const sheet = (await store.listSheets()).find(candidate => candidate.name === 'pivot.xlsx::Data');
+      const pivot = await buildPivot(store.db, sheet.importId, { rowField: 'Region', columnField: 'Kind', aggregate: 'count' });
+      assert.deepEqual(pivot.headers, ['Region', 'id (column)', 'Region (2)', 'Total', 'Total (2)']);
+      assert.deepEqual(pivot.rows, [
+        { id: 1, Region: 'North', 'id (column)': 1, 'Region (2)': '', Total: 1, 'Total (2)': 2 },
+        { id: 2, Region: 'South', 'id (column)': '', 'Region (2)': 1, Total: 1, 'Total (2)': 2 }
+      ]);
+    });
+  });
+
+  describe('backup', () => {
+    it('restores deleted sheets from a backup', async () => {
+      const backup = await store.createBackup();
+      await store.deleteSheets(['contacts.csv::contacts', ORDERS]);
+      assert.deepEqual((await store.listSheets()).map(sheet => sheet.name), ['orders.xlsx::Regions']);
+      const restored = await store.restoreBackup(backup, 'merge');
+      assert.equal(restored.metas.length, 3);
+      assert.equal((await store.listSheets()).length, 3);
+      assert.deepEqual(await searchOrders(store, 'rush'), ['A-1', 'A-3']);
+    });
+
+    it('replaces everything stored in replace mode', async () => {
+      const backup = await store.createBackup();
+      await store.importFile(workbookFile('later.xlsx', { Data: [['A'], [1]] }));
+      await store.restoreBackup(backup, 'replace');
+      assert.deepEqual((await store.listSheets()).map(sheet => sheet.name).sort(), ['contacts.csv::contacts', ORDERS, 'orders.xlsx::Regions']);
+    });
+  });
+});
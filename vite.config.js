@@ -0,0 +1,43 @@
+import { readFile, readdir } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+// Emits sw.js with the list of every file in the build, which it precaches on install. The cache
+// version hashes that list (asset names carry content hashes), the public files and sw.js itself,
+// so any change to the build installs a fresh cache and evicts the old one.
+const serviceWorker = () => {
+  let publicDir;
+  return {
+    name: 'excel-viewer-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    async generateBundle(options, bundle) {
+      const source = await readFile(new URL('./sw.js', import.meta.url), 'utf8');
+      const publicFiles = (await readdir(publicDir)).sort();
+      const hash = createHash('sha256').update(source);
+      for (const fileName of publicFiles) hash.update(fileName).update(await readFile(`${publicDir}/${fileName}`));
+      const builtFiles = Object.keys(bundle).filter(fileName => !fileName.endsWith('.html')).sort();
+      builtFiles.forEach(fileName => hash.update(fileName));
+      const manifest = { version: hash.digest('hex').slice(0, 12), urls: ['./', ...publicFiles, ...builtFiles].map(file => file === './' ? file : `./${file}`) };
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source: `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n${source}` });
+    }
+  };
+};
+
+export default defineConfig({
+  // Relative URLs, so the build (and its service worker scope) works from any folder.
+  base: './',
+  plugins: [
+    // rty.jsx styles its results with <style jsx global>.
+    react({ babel: { plugins: ['styled-jsx/babel'] } }),
+    serviceWorker()
+  ],
+  // The parse worker (core/parseWorker.js) is an ES module that imports SheetJS.
+  worker: { format: 'es' },
+  // SheetJS alone is about 400 kB, in the app bundle (exports) and the worker (parsing).
+  build: { chunkSizeWarningLimit: 1000 }
+});